@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+/**
+ * Cirkelgen - Command-line renderer
+ *
+ * Renders the final (non-animated) chart from a JSON/CSV data file to PNG or
+ * SVG, using the same chart library as the page. Runs on Konva's Node build
+ * (backed by the `canvas` package); no browser or network needed.
+ *
+ *   cirkelgen data.csv -o chart.png --scale 1-5
+ *   cirkelgen --batch organisations.csv --labels "a,b,c" --name "{org}-{year}" --format svg
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// Konva's Node build draws with the canvas package, an optional dependency
+// because it only installs where its native libraries (cairo) build
+try {
+  require('canvas');
+} catch (error) {
+  console.error('The command-line renderer needs the canvas package, which is missing or failed to build.');
+  console.error('Install it with: npm install canvas');
+  process.exit(1);
+}
+
+const { createRadialChart, DEFAULT_OPTIONS, SCALE_PRESETS, THEMES, isValidScale, isValidTheme } = require('../radial-chart');
+const { parseChartData, parseBatchTable, formatBatchFileName, getTemplateErrors } = require('../chart-data');
+
+// =============================================================================
+// OPTIONS
+// =============================================================================
+
+const USAGE = `Usage: cirkelgen <data-file> [options]
+       cirkelgen --batch <table-file> --labels <list> [options]
+
+Renders a radial chart from JSON or CSV/TSV data (the formats the page imports).
+
+Output:
+  -o, --output <file>     Output file (default: data file name with the format's extension)
+  -f, --format <type>     png or svg (default: from --output, otherwise png)
+      --size <px>         Chart width and height (default: ${DEFAULT_OPTIONS.size})
+      --pixel-ratio <n>   PNG resolution multiple (default: 3)
+
+Scale:
+      --scale <preset>    ${Object.keys(SCALE_PRESETS).join(', ')} (default: 0-4)
+      --min <n>, --max <n>, --tiers <n>, --steps <n>, --suffix <text>
+                          Override parts of the scale
+      --fill <mode>       floor or round (whole fill steps), or continuous (default: floor)
+
+Chart:
+      --theme <name|file> ${Object.keys(THEMES).join(', ')}, or a JSON theme file (default: default)
+      --labels <list>     Comma-separated category labels (overrides the data file)
+      --no-benchmark      Hide benchmarks
+      --no-average        Hide averages
+      --no-labels         Hide category labels
+      --values            Show score values
+      --locale <tag>      Number format for values, e.g. nl-NL for a decimal comma
+
+Batch (one chart per row, as in the page's batch export):
+      --batch <file>      Table with one organisation per row
+      --out-dir <dir>     Directory for the charts (default: current directory)
+      --name <template>   File name template, e.g. "{org}-{year}" (default: {index})
+
+  -h, --help              Show this help
+`;
+
+const ARG_OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  size: { type: 'string' },
+  'pixel-ratio': { type: 'string', default: '3' },
+  scale: { type: 'string', default: '0-4' },
+  min: { type: 'string' },
+  max: { type: 'string' },
+  tiers: { type: 'string' },
+  steps: { type: 'string' },
+  suffix: { type: 'string' },
+  fill: { type: 'string', default: 'floor' },
+  labels: { type: 'string' },
+  theme: { type: 'string', default: 'default' },
+  'no-benchmark': { type: 'boolean', default: false },
+  'no-average': { type: 'boolean', default: false },
+  'no-labels': { type: 'boolean', default: false },
+  values: { type: 'boolean', default: false },
+  locale: { type: 'string' },
+  batch: { type: 'string' },
+  'out-dir': { type: 'string', default: '.' },
+  name: { type: 'string', default: '{index}' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Thrown for problems in the input or arguments; reported without a stack trace
+ */
+class UsageError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.details = details;
+  }
+}
+
+function parseNumber(value, name, { integer = false, positive = false } = {}) {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number) || (integer && !Number.isInteger(number)) || (positive && number <= 0)) {
+    throw new UsageError(`--${name} must be a ${positive ? 'positive ' : ''}${integer ? 'whole ' : ''}number, got "${value}"`);
+  }
+  return number;
+}
+
+function getScale(values) {
+  const preset = SCALE_PRESETS[values.scale];
+  if (!preset) {
+    throw new UsageError(`Unknown scale "${values.scale}" (expected ${Object.keys(SCALE_PRESETS).join(', ')})`);
+  }
+
+  const scale = { ...preset };
+  if (values.min !== undefined) scale.min = parseNumber(values.min, 'min');
+  if (values.max !== undefined) scale.max = parseNumber(values.max, 'max');
+  if (values.tiers !== undefined) scale.tiers = parseNumber(values.tiers, 'tiers', { integer: true, positive: true });
+  if (values.steps !== undefined) scale.stepsPerTier = parseNumber(values.steps, 'steps', { integer: true, positive: true });
+  if (values.suffix !== undefined) scale.suffix = values.suffix;
+
+  if (!isValidScale(scale)) {
+    throw new UsageError(`Invalid scale: --max (${scale.max}) must be greater than --min (${scale.min})`);
+  }
+  return scale;
+}
+
+// Chart fill options per --fill mode
+const FILL_MODES = {
+  floor: { fillMode: 'steps', stepRounding: 'floor' },
+  round: { fillMode: 'steps', stepRounding: 'round' },
+  continuous: { fillMode: 'continuous', stepRounding: 'floor' }
+};
+
+function getFill(values) {
+  const fill = FILL_MODES[values.fill];
+  if (!fill) {
+    throw new UsageError(`Unknown fill "${values.fill}" (expected ${Object.keys(FILL_MODES).join(', ')})`);
+  }
+  return fill;
+}
+
+function getFormat(values) {
+  const extension = values.output ? path.extname(values.output).slice(1).toLowerCase() : '';
+  const format = (values.format || extension || 'png').toLowerCase();
+
+  if (format !== 'png' && format !== 'svg') {
+    throw new UsageError(`Unsupported format "${format}" (expected png or svg)`);
+  }
+  return format;
+}
+
+/**
+ * A built-in theme name, or a JSON file with theme colors (same keys as THEMES)
+ */
+function getTheme(values) {
+  if (THEMES[values.theme]) return values.theme;
+  if (!values.theme.endsWith('.json')) {
+    throw new UsageError(`Unknown theme "${values.theme}" (expected ${Object.keys(THEMES).join(', ')} or a .json file)`);
+  }
+
+  let theme;
+  try {
+    theme = JSON.parse(readInput(values.theme));
+  } catch (error) {
+    if (error instanceof UsageError) throw error;
+    throw new UsageError(`${values.theme}: invalid JSON (${error.message})`);
+  }
+  if (!isValidTheme(theme)) {
+    throw new UsageError(`${values.theme}: theme colors must be #rrggbb hex, ring palettes non-empty arrays`);
+  }
+  return theme;
+}
+
+function getLocale(values) {
+  if (values.locale === undefined) return null;
+  try {
+    return Intl.getCanonicalLocales(values.locale)[0];
+  } catch (error) {
+    throw new UsageError(`Invalid locale "${values.locale}" (expected a language tag such as nl-NL)`);
+  }
+}
+
+function getLabels(values) {
+  if (values.labels === undefined) return null;
+  return values.labels.split(',').map(label => label.trim());
+}
+
+function readInput(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+/**
+ * Render one chart and write it to disk
+ */
+function renderChart(chartOptions, data, format, pixelRatio, outputFile) {
+  const chart = createRadialChart(null, { ...chartOptions, data });
+
+  try {
+    if (format === 'svg') {
+      fs.writeFileSync(outputFile, chart.toSVG());
+    } else {
+      const dataURL = chart.toDataURL({ pixelRatio });
+      fs.writeFileSync(outputFile, Buffer.from(dataURL.split(',')[1], 'base64'));
+    }
+  } finally {
+    chart.destroy();
+  }
+}
+
+function renderSingle(file, values, chartOptions, format, pixelRatio) {
+  const result = parseChartData(readInput(file), chartOptions.scale);
+  if (result.errors.length) {
+    throw new UsageError(`${file}: nothing was rendered. Please fix:`, result.errors);
+  }
+
+  const count = result.labels
+    ? result.labels.length
+    : Math.max(...Object.values(result.series).map(series => series.length));
+  const labels = getLabels(values) || result.labels || Array.from({ length: count }, (_, index) => `Category ${index + 1}`);
+
+  if (labels.length !== count) {
+    throw new UsageError(`--labels has ${labels.length} labels, but the data has ${count} categories`);
+  }
+
+  const outputFile = values.output || `${path.basename(file, path.extname(file))}.${format}`;
+  renderChart(chartOptions, { labels, ...result.series }, format, pixelRatio, outputFile);
+  console.log(`Wrote ${outputFile}`);
+}
+
+function renderBatch(values, chartOptions, format, pixelRatio) {
+  const labels = getLabels(values);
+  if (!labels) {
+    throw new UsageError('Batch mode needs the category labels (--labels), to match columns like "score 1" or "score: klimaat"');
+  }
+
+  const result = parseBatchTable(readInput(values.batch), chartOptions.scale, labels);
+  const errors = result.errors.length ? result.errors : getTemplateErrors(values.name, result.fields);
+  if (errors.length) {
+    throw new UsageError(`${values.batch}: nothing was rendered. Please fix:`, errors);
+  }
+
+  fs.mkdirSync(values['out-dir'], { recursive: true });
+  const usedNames = new Set();
+
+  result.records.forEach(({ fields, series }, index) => {
+    const baseName = formatBatchFileName(values.name, fields, index);
+    let fileName = `${baseName}.${format}`;
+    for (let copy = 2; usedNames.has(fileName); copy++) {
+      fileName = `${baseName}-${copy}.${format}`;
+    }
+    usedNames.add(fileName);
+
+    renderChart(chartOptions, { labels, ...series }, format, pixelRatio, path.join(values['out-dir'], fileName));
+  });
+
+  console.log(`Wrote ${result.records.length} charts to ${values['out-dir']}`);
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+function main(argv) {
+  let args;
+  try {
+    args = parseArgs({ args: argv, options: ARG_OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(`${error.message}\n\n${USAGE}`);
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.batch && positionals.length !== 1) {
+    throw new UsageError(`Expected one data file\n\n${USAGE}`);
+  }
+
+  const chartOptions = {
+    scale: getScale(values),
+    ...getFill(values),
+    theme: getTheme(values),
+    showBenchmark: !values['no-benchmark'],
+    showAverage: !values['no-average'],
+    showLabels: !values['no-labels'],
+    showValues: values.values,
+    locale: getLocale(values)
+  };
+  if (values.size !== undefined) {
+    chartOptions.size = parseNumber(values.size, 'size', { integer: true, positive: true });
+  }
+
+  const format = getFormat(values);
+  const pixelRatio = parseNumber(values['pixel-ratio'], 'pixel-ratio', { positive: true });
+
+  if (values.batch) {
+    renderBatch(values, chartOptions, format, pixelRatio);
+  } else {
+    renderSingle(positionals[0], values, chartOptions, format, pixelRatio);
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  if (!(error instanceof UsageError)) throw error;
+
+  console.error(error.message);
+  error.details.forEach(detail => console.error(`  - ${detail}`));
+  process.exitCode = 1;
+}
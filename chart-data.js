@@ -0,0 +1,533 @@
+/**
+ * Cirkelgen - Chart data parsing
+ *
+ * Turns CSV, TSV, pasted spreadsheet cells and JSON into chart series, and
+ * reads batch tables with one chart per row. Shared by the page, the
+ * command-line renderer, the chart library and the survey aggregation; no
+ * DOM access.
+ *
+ * Loads as a browser global (window.ChartData) or as a CommonJS module.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ChartData = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// =============================================================================
+// CHART DATA (CSV / JSON / PASTED CELLS)
+// =============================================================================
+
+const IMPORT_SERIES = [
+  { key: 'scores', aliases: ['score', 'scores'] },
+  { key: 'benchmarks', aliases: ['benchmark', 'benchmarks'] },
+  { key: 'averages', aliases: ['average', 'averages', 'avg', 'mean', 'gemiddelde'] }
+];
+
+// Validation messages with {placeholders}; the page swaps in translations
+// through setMessages
+const DEFAULT_MESSAGES = {
+  scores: 'Scores',
+  benchmarks: 'Benchmarks',
+  averages: 'Averages',
+  noData: 'No data found',
+  noBatchData: 'No batch data found',
+  invalidJSON: 'Invalid JSON: {error}',
+  jsonShape: 'JSON must be an object or an array of categories',
+  noValues: 'No score, benchmark or average values found',
+  item: 'Item {item} ({field})',
+  row: 'Row {row}',
+  cell: 'Row {row}, column {column}',
+  column: 'Column {column} ("{header}")',
+  seriesLength: '{series} has {count} values, expected {expected}',
+  unknownSeries: '{location}: unknown series "{name}"',
+  duplicateSeries: '{location}: {series} appears more than once',
+  tooManySeries: 'Row {row}: only {count} series (scores, benchmarks, averages) are supported',
+  tooManyValues: 'Row {row}: {values} values for {count} categories',
+  missingValue: 'missing value',
+  notANumber: '"{cell}" is not a number',
+  outsideScale: '{cell} is outside the scale ({min}\u2013{max}{suffix})',
+  unknownColumn: '{location}: unknown column; the chart has categories 1 to {count}',
+  missingColumn: '{series}: no column for category {category} ("{label}")',
+  noValueColumns: 'No value columns found (expected headers like "score 1" or "benchmark: klimaat")',
+  noRows: 'The table has a header but no rows',
+  missingTemplateColumn: 'File name template: there is no column "{field}"'
+};
+
+let messages = { ...DEFAULT_MESSAGES };
+
+/**
+ * Replace (some of) the validation messages, e.g. with a translation
+ * @param {Object<string, string>} [overrides] - Keys of DEFAULT_MESSAGES; omit to restore English
+ */
+function setMessages(overrides = {}) {
+  messages = { ...DEFAULT_MESSAGES, ...overrides };
+}
+
+function formatMessage(key, params = {}) {
+  return messages[key].replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * Parse chart data from JSON or from delimited text (CSV, semicolon or tab
+ * separated, as copied from a spreadsheet). Values are validated against the
+ * scale instead of being clamped.
+ * @param {string} text - Raw file or clipboard contents
+ * @param {Object} scale - Scale to validate values against
+ * @returns {{labels: string[]|null, series: Object<string, number[]>, errors: string[]}}
+ */
+function parseChartData(text, scale) {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return { labels: null, series: {}, errors: [formatMessage('noData')] };
+  }
+
+  if (trimmed[0] === '{' || trimmed[0] === '[') {
+    return parseChartJSON(trimmed, scale);
+  }
+
+  const delimiter = detectDelimiter(trimmed);
+  // Spreadsheets in comma-decimal locales export "3,5"; only unambiguous when comma isn't the delimiter
+  // (parse the untrimmed text so an empty leading corner cell is kept)
+  return parseChartTable(parseDelimited(text, delimiter), scale, delimiter !== ',');
+}
+
+/**
+ * JSON either as { labels, scores, benchmarks, averages } or as an array of
+ * { label, score, benchmark, average } objects, one per category
+ */
+function parseChartJSON(text, scale) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { labels: null, series: {}, errors: [formatMessage('invalidJSON', { error: error.message })] };
+  }
+
+  const errors = [];
+  const series = {};
+  let labels = null;
+
+  if (Array.isArray(data)) {
+    labels = data.some(item => item && (item.label !== undefined || item.category !== undefined))
+      ? data.map(item => String((item && (item.label !== undefined ? item.label : item.category)) || ''))
+      : null;
+
+    IMPORT_SERIES.forEach(({ key, aliases }) => {
+      const field = aliases.find(alias => data.some(item => item && item[alias] !== undefined));
+      if (!field) return;
+
+      series[key] = data.map((item, index) => collectCell(
+        parseImportCell(item ? item[field] : undefined, scale, false),
+        formatMessage('item', { item: index + 1, field }),
+        errors
+      ));
+    });
+  } else if (data && typeof data === 'object') {
+    labels = Array.isArray(data.labels) ? data.labels.map(String) : null;
+
+    IMPORT_SERIES.forEach(({ key, aliases }) => {
+      const field = aliases.find(alias => Array.isArray(data[alias]));
+      if (!field) return;
+
+      series[key] = data[field].map((value, index) => collectCell(
+        parseImportCell(value, scale, false),
+        `${field}[${index}]${labels && labels[index] !== undefined ? ` ("${labels[index]}")` : ''}`,
+        errors
+      ));
+    });
+
+    const count = labels ? labels.length : Math.max(0, ...Object.values(series).map(values => values.length));
+    Object.entries(series).forEach(([key, values]) => {
+      if (values.length !== count) {
+        errors.push(formatMessage('seriesLength', { series: key, count: values.length, expected: count }));
+      }
+    });
+  } else {
+    errors.push(formatMessage('jsonShape'));
+  }
+
+  if (!Object.keys(series).length && !errors.length) {
+    errors.push(formatMessage('noValues'));
+  }
+
+  return { labels, series, errors };
+}
+
+/**
+ * Interpret a grid of cells. Two layouts are accepted:
+ * - one row per series (optionally named in the first column), with an
+ *   optional header row of category labels
+ * - one column per series, named in a header row, with one row per category
+ *   and the category labels in the first column
+ */
+function parseChartTable(rows, scale, allowDecimalComma) {
+  const errors = [];
+  const series = {};
+  let labels = null;
+
+  const cellName = (row, column) => formatMessage('cell', { row: row + 1, column: column + 1 });
+  const isLabelCell = cell => cell !== '' && parseImportCell(cell, null, allowDecimalComma).error !== undefined;
+  const [firstRow] = rows;
+  const columnSeries = firstRow.map(findImportSeries);
+
+  if (columnSeries.some(Boolean)) {
+    const hasLabelColumn = !columnSeries[0];
+    const dataRows = rows.slice(1);
+    if (hasLabelColumn) labels = dataRows.map(row => row[0] || '');
+
+    columnSeries.forEach((entry, column) => {
+      if (!entry) {
+        if (column > 0) errors.push(formatMessage('unknownSeries', { location: cellName(0, column), name: firstRow[column] }));
+        return;
+      }
+      if (series[entry.key]) {
+        errors.push(formatMessage('duplicateSeries', { location: cellName(0, column), series: formatMessage(entry.key) }));
+        return;
+      }
+
+      series[entry.key] = dataRows.map((row, index) => collectCell(
+        parseImportCell(row[column], scale, allowDecimalComma),
+        `${cellName(index + 1, column)}${labels ? ` ("${labels[index]}")` : ''}`,
+        errors
+      ));
+    });
+
+    if (!dataRows.length && !errors.length) {
+      errors.push(formatMessage('noValues'));
+    }
+
+    return { labels, series, errors };
+  }
+
+  const hasHeader = firstRow.some(isLabelCell);
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const rowOffset = hasHeader ? 1 : 0;
+  const hasNameColumn = dataRows.some(row => isLabelCell(row[0]));
+
+  if (hasHeader) {
+    // The header may or may not have a (blank) cell above the series names
+    const widestRow = Math.max(...dataRows.map(row => row.length));
+    labels = hasNameColumn && firstRow.length >= widestRow ? firstRow.slice(1) : firstRow;
+  }
+  const firstValueColumn = hasNameColumn ? 1 : 0;
+  const count = labels ? labels.length : Math.max(...dataRows.map(row => row.length - firstValueColumn));
+
+  dataRows.forEach((row, index) => {
+    const rowIndex = index + rowOffset;
+    const entry = hasNameColumn ? findImportSeries(row[0]) : IMPORT_SERIES[index];
+
+    if (!entry) {
+      errors.push(hasNameColumn
+        ? formatMessage('unknownSeries', { location: cellName(rowIndex, 0), name: row[0] })
+        : formatMessage('tooManySeries', { row: rowIndex + 1, count: IMPORT_SERIES.length }));
+      return;
+    }
+    if (series[entry.key]) {
+      errors.push(formatMessage('duplicateSeries', {
+        location: formatMessage('row', { row: rowIndex + 1 }),
+        series: formatMessage(entry.key)
+      }));
+      return;
+    }
+
+    const cells = row.slice(firstValueColumn);
+    if (cells.length > count) {
+      errors.push(formatMessage('tooManyValues', { row: rowIndex + 1, values: cells.length, count }));
+    }
+
+    series[entry.key] = Array.from({ length: count }, (_, column) => collectCell(
+      parseImportCell(cells[column], scale, allowDecimalComma),
+      `${cellName(rowIndex, column + firstValueColumn)}${labels ? ` ("${labels[column]}")` : ''}`,
+      errors
+    ));
+  });
+
+  if (!Object.keys(series).length && !errors.length) {
+    errors.push(formatMessage('noValues'));
+  }
+
+  return { labels, series, errors };
+}
+
+/**
+ * Validate a single value
+ * @param {*} raw - Cell contents
+ * @param {Object|null} scale - Scale to range-check against (null to skip)
+ * @param {boolean} allowDecimalComma - Accept "3,5" as 3.5
+ * @returns {{value: number}|{error: string}}
+ */
+function parseImportCell(raw, scale, allowDecimalComma) {
+  const cell = raw === undefined || raw === null ? '' : String(raw).trim();
+  if (cell === '') return { error: formatMessage('missingValue') };
+
+  let normalized = allowDecimalComma ? cell.replace(',', '.') : cell;
+  if (scale && scale.suffix && normalized.endsWith(scale.suffix)) {
+    normalized = normalized.slice(0, -scale.suffix.length).trim();
+  }
+
+  const value = Number(normalized);
+  if (normalized === '' || !Number.isFinite(value)) {
+    return { error: formatMessage('notANumber', { cell }) };
+  }
+  if (scale && (value < scale.min || value > scale.max)) {
+    return { error: formatMessage('outsideScale', { cell, min: scale.min, max: scale.max, suffix: scale.suffix || '' }) };
+  }
+
+  return { value };
+}
+
+function collectCell(result, location, errors) {
+  if (result.error !== undefined) {
+    errors.push(`${location}: ${result.error}`);
+    return null;
+  }
+  return result.value;
+}
+
+function findImportSeries(cell) {
+  const name = (cell || '').trim().toLowerCase();
+  return IMPORT_SERIES.find(entry => entry.aliases.includes(name)) || null;
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/)[0];
+  if (firstLine.includes('\t')) return '\t';
+
+  const semicolons = firstLine.split(';').length;
+  const commas = firstLine.split(',').length;
+  return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Split delimited text into rows of trimmed cells, honouring double-quoted
+ * cells (which may contain delimiters, quotes and line breaks)
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  // Drop blank lines and the trailing empty cells spreadsheets tend to add
+  return rows
+    .map(cells => {
+      const trimmed = cells.slice();
+      while (trimmed.length && trimmed[trimmed.length - 1] === '') trimmed.pop();
+      return trimmed;
+    })
+    .filter(cells => cells.length);
+}
+
+// =============================================================================
+// BATCH TABLES
+// =============================================================================
+
+/**
+ * Parse a table with one organisation per row. Columns named after a series
+ * and a category ("score 1", "benchmark_3", "average: klimaat") hold values;
+ * every other column is metadata available to the file name template.
+ * @param {string} text - CSV/TSV text, or JSON array of row objects
+ * @param {Object} scale - Scale to validate values against
+ * @param {string[]} labels - Current category labels
+ * @returns {{records: Object[], fields: string[], errors: string[]}}
+ */
+function parseBatchTable(text, scale, labels) {
+  const errors = [];
+  let header;
+  let rows;
+  let allowDecimalComma = false;
+
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return { records: [], fields: [], errors: [formatMessage('noBatchData')] };
+  }
+
+  if (trimmed[0] === '[') {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      return { records: [], fields: [], errors: [formatMessage('invalidJSON', { error: error.message })] };
+    }
+    header = Array.from(new Set(data.flatMap(item => Object.keys(item || {}))));
+    rows = data.map(item => header.map(key => (item && item[key] !== undefined ? String(item[key]) : '')));
+  } else {
+    const delimiter = detectDelimiter(trimmed);
+    allowDecimalComma = delimiter !== ',';
+    [header, ...rows] = parseDelimited(trimmed, delimiter);
+  }
+
+  const columns = header.map(cell => parseBatchColumn(cell, labels));
+  const fields = header.filter((cell, column) => !columns[column]).map(cell => cell.trim().toLowerCase());
+
+  columns.forEach((column, index) => {
+    if (column && column.category < 0) {
+      errors.push(formatMessage('unknownColumn', {
+        location: formatMessage('column', { column: index + 1, header: header[index] }),
+        count: labels.length
+      }));
+    }
+  });
+
+  // Series that appear must cover every category
+  IMPORT_SERIES.forEach(entry => {
+    const covered = columns.filter(column => column && column.entry === entry && column.category >= 0).map(column => column.category);
+    if (!covered.length) return;
+
+    labels.forEach((label, category) => {
+      if (!covered.includes(category)) {
+        errors.push(formatMessage('missingColumn', {
+          series: formatMessage(entry.key),
+          category: category + 1,
+          label: label.replace(/\n/g, ' ')
+        }));
+      }
+    });
+  });
+
+  if (!columns.some(Boolean)) {
+    errors.push(formatMessage('noValueColumns'));
+  }
+  if (!rows.length) {
+    errors.push(formatMessage('noRows'));
+  }
+  if (errors.length) return { records: [], fields, errors };
+
+  const records = rows.map((row, rowIndex) => {
+    const record = { fields: {}, series: {} };
+
+    header.forEach((cell, column) => {
+      const target = columns[column];
+      if (!target) {
+        record.fields[cell.trim().toLowerCase()] = row[column] || '';
+        return;
+      }
+
+      if (!record.series[target.entry.key]) record.series[target.entry.key] = [];
+      record.series[target.entry.key][target.category] = collectCell(
+        parseImportCell(row[column], scale, allowDecimalComma),
+        `${formatMessage('cell', { row: rowIndex + 2, column: column + 1 })} ("${cell}")`,
+        errors
+      );
+    });
+
+    return record;
+  });
+
+  return { records, fields, errors };
+}
+
+/**
+ * Recognise a value column header
+ * @returns {{entry: Object, category: number}|null} Series and category index
+ *   (-1 for a number that is not one of the chart's categories, as in
+ *   "mean 2020"), or null for metadata
+ */
+function parseBatchColumn(cell, labels) {
+  const match = cell.trim().match(/^([a-z]+)[\s_:.-]*(.*)$/i);
+  if (!match || !match[2]) return null;
+
+  const entry = findImportSeries(match[1]);
+  if (!entry) return null;
+
+  const target = match[2].trim();
+  if (/^\d+$/.test(target)) {
+    const number = parseInt(target, 10);
+    return { entry, category: number >= 1 && number <= labels.length ? number - 1 : -1 };
+  }
+
+  const normalize = label => label.replace(/\s+/g, ' ').trim().toLowerCase();
+  const category = labels.findIndex(label => normalize(label) === normalize(target));
+  return category >= 0 ? { entry, category } : null;
+}
+
+/**
+ * Fill a file name template such as "{org}-{year}" from a record's metadata
+ * columns; {index} is the 1-based row number
+ */
+function formatBatchFileName(template, fields, index) {
+  const name = template
+    .replace(/\.(png|svg)$/i, '')
+    .replace(/\{([^}]+)\}/g, (_, key) => {
+      const field = key.trim().toLowerCase();
+      return field === 'index' ? String(index + 1) : (fields[field] || '');
+    })
+    .replace(/[\\/:*?"<>|]+/g, '-')
+    .trim();
+
+  return name || `chart-${index + 1}`;
+}
+
+function getTemplateErrors(template, fields) {
+  const placeholders = (template.match(/\{([^}]+)\}/g) || []).map(match => match.slice(1, -1).trim().toLowerCase());
+  return placeholders
+    .filter(field => field !== 'index' && !fields.includes(field))
+    .map(field => formatMessage('missingTemplateColumn', { field }));
+}
+
+// =============================================================================
+// STATISTICS
+// =============================================================================
+
+/**
+ * Quantile with linear interpolation between the closest ranks (as
+ * spreadsheets' PERCENTILE.INC)
+ * @param {number[]} sorted - At least one value, in ascending order
+ * @param {number} fraction - 0 to 1
+ */
+function getQuantile(sorted, fraction) {
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+return {
+  IMPORT_SERIES,
+  DEFAULT_MESSAGES,
+  setMessages,
+  parseChartData,
+  parseImportCell,
+  parseDelimited,
+  detectDelimiter,
+  parseBatchTable,
+  formatBatchFileName,
+  getTemplateErrors,
+  getQuantile
+};
+});
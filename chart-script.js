@@ -1,65 +1,59 @@
 /**
- * Cirkelgen - Radial Chart Visualization with Konva.js
+ * Cirkelgen - Radial chart generator page
  *
- * Interactive animated radial chart displaying performance data across 6 categories.
- * Features: staggered clockwise animations, hover tooltips, layered rendering.
+ * Editor around the chart library in radial-chart.js: value inputs, a
+ * configurable number of categories, scale presets, themes, languages, import,
+ * survey aggregation, batch and animation export, shareable URLs and a local
+ * project library.
  */
 
+const {
+  createRadialChart, SCALE_PRESETS, THEMES, isValidScale, isValidTheme, resolveTheme, clampToScale, getScaleStep, getScaleDecimals
+} = RadialChart;
+const { parseChartData, parseBatchTable, formatBatchFileName, getTemplateErrors } = ChartData;
+const { parseResponses, parseItemMapping, aggregateSurvey, getColumnValues } = Survey;
+
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
 const CONFIG = {
-  // Display settings
-  displaySize: 500,
-
-  // Chart geometry
-  totalLayers: 67,
-  centerHole: 18,
-  ringThickness: 10,
-  gapThickness: 3,
-  sliceGapThickness: 3,
-  numCategories: 6,
-  numTiers: 4,
-
-  // Colors
-  backgroundColors: ['#F2F2F2', '#e6e6e6', '#cccccc', '#999999'],
-  scoreColors: ['#CEE5DA', '#6EC5CD', '#076C98', '#182E57'],
-  benchmarkColor: '#F47B54',
-  averageColor: '#FFFF00',
-  averageStrokeColor: '#444444',
-
-  // Animation timing
-  animationDuration: 1200,
-  gridAnimationDuration: 1800,
-  sliceStaggerDelay: 150,  // Delay between each slice starting
-  sliceOverlap: 0.6,       // How much slices overlap (0-1, higher = more overlap)
-  tierStaggerDelay: 60,    // Delay between tiers within a slice
-
-  // Category labels (Dutch)
-  categoryLabels: [
-    'klimaat',
-    'leiderschap',
-    'strategie en\nmanagement',
-    'HR management',
-    'communicatie',
-    'kennis en\nvaardigheden'
-  ]
+  numCategories: 6,  // Kept in sync with categoryLabels.length
+  minCategories: 1,
+
+  // Value scale: each tier is one ring, divided into stepsPerTier fill steps
+  scale: { ...RadialChart.DEFAULT_OPTIONS.scale },
+
+  // Largest PNG export (px per side); bigger canvases fail in some browsers
+  exportMaxPixels: 8000,
+
+  // Undo steps kept; the oldest are dropped first
+  historyLimit: 100,
+
+  // Language used when the browser asks for none of the packs in locales.js
+  defaultLanguage: 'nl',
+
+  // Category labels (replaced by the active language's defaults on first visit)
+  categoryLabels: LOCALES.nl.categories.slice()
 };
 
 // =============================================================================
 // STATE
 // =============================================================================
 
-let stage, backgroundLayer, scoreLayer, benchmarkLayer, averageLayer, labelLayer, tooltipLayer;
-let tooltip;
+let chart;
 let showBenchmark = true;
 let showAverage = true;
 let showValues = false;
 let showLabels = true;
-let isAnimating = false;
-let gridAnimationRef = null;
-let dataAnimationRef = null;
+let theme = 'default';  // Built-in theme name or custom theme object
+let fillPrecision = 'floor';  // Key of FILL_PRECISIONS
+let distributionBand = 'iqr';
+let showHistogram = false;
+let distributions = [];  // Respondent scores per category from the survey; not saved or shared
+let language = CONFIG.defaultLanguage;  // Key of LOCALES
+let isBatchExporting = false;
+let stateChangeTimer = null;
 
 // Value label customization
 let valueAngleOffset = 0;
@@ -67,914 +61,679 @@ let valueFontSize = 14;
 let valueDistancePercent = 100;
 
 // =============================================================================
-// EASING FUNCTIONS
+// CHART
 // =============================================================================
 
-const Easing = {
-  // Standard ease out cubic
-  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+/**
+ * Settings the page passes on to the chart library
+ */
+function getChartOptions() {
+  return {
+    scale: CONFIG.scale,
+    ...FILL_PRECISIONS[fillPrecision],
+    theme,
+    showBenchmark,
+    showAverage,
+    showLabels,
+    showValues,
+    valueAngleOffset,
+    valueFontSize,
+    valueDistancePercent,
+    distributionBand,
+    showHistogram,
+    locale: LOCALES[language].locale,
+    strings: LOCALES[language].chart
+  };
+}
 
-  // Elastic bounce for playful effect
-  easeOutElastic: (t) => {
-    const c4 = (2 * Math.PI) / 3;
-    return t === 0 ? 0 : t === 1 ? 1 : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * c4) + 1;
-  },
+function getChartData() {
+  return {
+    labels: CONFIG.categoryLabels,
+    scores: getValues('scoreInputs'),
+    benchmarks: getValues('benchmarkInputs'),
+    averages: getValues('averageInputs'),
+    distributions
+  };
+}
 
-  // Smooth ease out with overshoot
-  easeOutBack: (t) => {
-    const c1 = 1.70158;
-    const c3 = c1 + 1;
-    return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
-  },
+/**
+ * Generate random values and fill inputs
+ */
+function generateRandomValues() {
+  VALUE_SECTIONS.forEach(sectionId => {
+    const inputs = document.querySelectorAll(`#${sectionId} input`);
+    inputs.forEach(input => {
+      // Generate random value in the upper 7/8 of the scale, at the scale's resolution
+      const { min, max } = CONFIG.scale;
+      const step = getScaleStep(CONFIG.scale);
+      const randomValue = min + (Math.random() * 0.875 + 0.125) * (max - min);
+      input.value = (Math.round((randomValue - min) / step) * step + min).toFixed(getScaleDecimals(CONFIG.scale));
+    });
+  });
+  distributions = [];
 
-  // Quick start, smooth end
-  easeOutQuart: (t) => 1 - Math.pow(1 - t, 4),
+  // Tween to the new values
+  transitionChart();
+}
 
-  // Exponential ease out
-  easeOutExpo: (t) => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
+/**
+ * Push the current settings and values to the chart
+ * @param {boolean} animate - Replay the intro animation
+ */
+function updateChart(animate = false) {
+  onStateChanged();
 
-  // Sine ease for smooth motion
-  easeOutSine: (t) => Math.sin((t * Math.PI) / 2),
+  chart.setOptions(getChartOptions(), { redraw: false });
+  chart.setData(getChartData());
 
-  // Combined ease for building effect
-  easeOutCirc: (t) => Math.sqrt(1 - Math.pow(t - 1, 2))
-};
+  if (animate) {
+    chart.animate();
+  }
+}
 
-// =============================================================================
-// INITIALIZATION
-// =============================================================================
+/**
+ * Push the current settings and tween the chart from the values on screen
+ * to the current ones, for swapping in a whole dataset
+ */
+function transitionChart() {
+  onStateChanged();
 
-function initKonva() {
-  const container = document.getElementById('chart-container');
+  chart.setOptions(getChartOptions(), { redraw: false });
+  chart.transitionTo(getChartData());
+}
 
-  stage = new Konva.Stage({
-    container: 'chart-container',
-    width: CONFIG.displaySize,
-    height: CONFIG.displaySize
-  });
+/**
+ * A value edited on the chart (dragged, or stepped with the arrow keys) is
+ * already drawn; mirror it in its input
+ */
+function onChartValueChange(key, category, value) {
+  const input = document.querySelectorAll(`#${SERIES_INPUTS[key]} input`)[category];
+  if (input) input.value = value.toFixed(getScaleDecimals(CONFIG.scale));
+  onStateChanged();
+}
+
+// =============================================================================
+// TIMELINE
+// =============================================================================
 
-  // Create layers in render order (bottom to top)
-  backgroundLayer = new Konva.Layer();
-  benchmarkLayer = new Konva.Layer();
-  scoreLayer = new Konva.Layer();
-  averageLayer = new Konva.Layer();
-  labelLayer = new Konva.Layer();
-  tooltipLayer = new Konva.Layer();
+const PLAYBACK_SPEEDS = [
+  { value: 0.25, label: '\u00bc\u00d7' },
+  { value: 0.5, label: '\u00bd\u00d7' },
+  { value: 1, label: '1\u00d7' },
+  { value: 2, label: '2\u00d7' }
+];
 
-  stage.add(backgroundLayer);
-  stage.add(benchmarkLayer);
-  stage.add(scoreLayer);
-  stage.add(averageLayer);
-  stage.add(labelLayer);
-  stage.add(tooltipLayer);
+/**
+ * Follow the chart's timeline in the play button and scrub slider
+ * @param {Object|null} timeline - From chart.getTimeline()
+ */
+function updateTimelineControls(timeline) {
+  const scrub = document.getElementById('timelineScrub');
+  scrub.disabled = !timeline;
+  scrub.max = timeline ? String(Math.round(timeline.duration)) : '0';
+  scrub.value = timeline ? String(Math.round(timeline.elapsed)) : '0';
 
-  // Create tooltip
-  createTooltip();
+  document.getElementById('playPause').textContent = t(timeline && timeline.playing ? 'pause' : 'play');
 }
 
-function createTooltip() {
-  const tooltipGroup = new Konva.Group({
-    visible: false
-  });
+function setupTimeline() {
+  const scrub = document.getElementById('timelineScrub');
+  const speedSelect = document.getElementById('playbackSpeed');
 
-  const tooltipBg = new Konva.Rect({
-    fill: 'rgba(0, 0, 0, 0.85)',
-    cornerRadius: 6,
-    padding: 10
+  PLAYBACK_SPEEDS.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = String(value);
+    option.textContent = label;
+    speedSelect.appendChild(option);
   });
-
-  const tooltipText = new Konva.Text({
-    text: '',
-    fontSize: 14,
-    fontFamily: 'Arial',
-    fill: 'white',
-    padding: 8
+  speedSelect.value = String(chart.getOptions().playbackSpeed);
+
+  document.getElementById('playPause').addEventListener('click', () => {
+    const timeline = chart.getTimeline();
+    if (timeline && timeline.playing) {
+      chart.pause();
+    } else {
+      chart.play();
+    }
   });
 
-  tooltipGroup.add(tooltipBg);
-  tooltipGroup.add(tooltipText);
-  tooltipLayer.add(tooltipGroup);
+  scrub.addEventListener('input', () => chart.seek(Number(scrub.value)));
+  speedSelect.addEventListener('change', () => chart.setOptions({ playbackSpeed: Number(speedSelect.value) }));
 
-  tooltip = {
-    group: tooltipGroup,
-    bg: tooltipBg,
-    text: tooltipText
-  };
+  updateTimelineControls(chart.getTimeline());
 }
 
-function showTooltip(category, tier, value, type, x, y) {
-  const label = CONFIG.categoryLabels[category].replace('\n', ' ');
-  const tierLabel = `Ring ${tier + 1}`;
-  const typeLabel = type === 'score' ? 'Score' : type === 'benchmark' ? 'Benchmark' : 'Average';
+// =============================================================================
+// INPUT HANDLING
+// =============================================================================
 
-  tooltip.text.text(`${label}\n${tierLabel}: ${value.toFixed(1)} (${typeLabel})`);
+// Value inputs per series key used by the chart and the parsers
+const SERIES_INPUTS = {
+  scores: 'scoreInputs',
+  benchmarks: 'benchmarkInputs',
+  averages: 'averageInputs'
+};
 
-  const textWidth = tooltip.text.width();
-  const textHeight = tooltip.text.height();
+const VALUE_SECTIONS = Object.values(SERIES_INPUTS);
 
-  tooltip.bg.width(textWidth);
-  tooltip.bg.height(textHeight);
+/**
+ * (Re)build the value inputs for the current number of categories
+ * @param {Object<string, string[]>} values - Raw input values per section to restore
+ */
+function createInputs(values = {}) {
+  VALUE_SECTIONS.forEach((sectionId) => {
+    const container = document.getElementById(sectionId);
+    const sectionValues = values[sectionId] || [];
+    container.innerHTML = '';
 
-  // Position tooltip, keeping it within bounds
-  let tooltipX = x + 15;
-  let tooltipY = y - textHeight / 2;
+    for (let i = 0; i < CONFIG.numCategories; i++) {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = String(CONFIG.scale.min);
+      input.max = String(CONFIG.scale.max);
+      input.step = String(getScaleStep(CONFIG.scale));
+      input.value = sectionValues[i] !== undefined ? sectionValues[i] : String(CONFIG.scale.min);
+      input.placeholder = `${i + 1}`;
+      input.title = CONFIG.categoryLabels[i].replace(/\n/g, ' ');
+      input.addEventListener('input', () => updateChart(false));
+      container.appendChild(input);
+    }
+  });
 
-  if (tooltipX + textWidth > CONFIG.displaySize) {
-    tooltipX = x - textWidth - 15;
-  }
-  if (tooltipY < 0) {
-    tooltipY = 5;
-  }
-  if (tooltipY + textHeight > CONFIG.displaySize) {
-    tooltipY = CONFIG.displaySize - textHeight - 5;
-  }
+  createCategoryInputs();
+}
 
-  tooltip.group.position({ x: tooltipX, y: tooltipY });
-  tooltip.group.visible(true);
-  tooltipLayer.batchDraw();
+function createCategoryInputs() {
+  const container = document.getElementById('labelInputs');
+  container.innerHTML = '';
+
+  CONFIG.categoryLabels.forEach((label, index) => {
+    const chip = document.createElement('span');
+    chip.className = 'category-chip';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = label.replace(/\n/g, ' ');
+    input.addEventListener('input', () => setCategoryLabel(index, input.value));
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'remove-category';
+    removeButton.textContent = '\u00d7';
+    removeButton.title = t('removeCategory');
+    removeButton.disabled = CONFIG.numCategories <= CONFIG.minCategories;
+    removeButton.addEventListener('click', () => removeCategory(index));
+
+    chip.appendChild(input);
+    chip.appendChild(removeButton);
+    container.appendChild(chip);
+  });
 }
 
-function hideTooltip() {
-  tooltip.group.visible(false);
-  tooltipLayer.batchDraw();
+/**
+ * Raw (unparsed) input values per section, used to preserve edits when the
+ * inputs are rebuilt
+ */
+function getRawValues() {
+  const values = {};
+  VALUE_SECTIONS.forEach((sectionId) => {
+    values[sectionId] = Array.from(document.querySelectorAll(`#${sectionId} input`)).map(input => input.value);
+  });
+  return values;
 }
 
 // =============================================================================
-// GEOMETRY HELPERS
+// SCALE
 // =============================================================================
 
-function getChartGeometry() {
-  const centerX = CONFIG.displaySize / 2;
-  const centerY = CONFIG.displaySize / 2;
-  const maxRadius = (CONFIG.displaySize / 2) * 0.8;
-  const layerThickness = maxRadius / CONFIG.totalLayers;
-  const sliceAngle = (Math.PI * 2) / CONFIG.numCategories;
-  const rotationAngle = -Math.PI / 2; // Start at top
-
-  return { centerX, centerY, maxRadius, layerThickness, sliceAngle, rotationAngle };
-}
-
-function getRingBounds(tierIndex, layerThickness) {
-  const startRadius = (CONFIG.centerHole + tierIndex * (CONFIG.ringThickness + CONFIG.gapThickness)) * layerThickness;
-  const endRadius = startRadius + CONFIG.ringThickness * layerThickness;
-  return { startRadius, endRadius };
-}
-
-function createArcPath(centerX, centerY, innerRadius, outerRadius, startAngle, endAngle) {
-  // Create a wedge shape using sceneFunc
-  return function(context, shape) {
-    context.beginPath();
-    context.arc(centerX, centerY, outerRadius, startAngle, endAngle);
-    context.arc(centerX, centerY, innerRadius, endAngle, startAngle, true);
-    context.closePath();
-    context.fillStrokeShape(shape);
-  };
-}
+// Chart fill options per choice in the fill select
+const FILL_PRECISIONS = {
+  floor: { fillMode: 'steps', stepRounding: 'floor' },
+  round: { fillMode: 'steps', stepRounding: 'round' },
+  continuous: { fillMode: 'continuous', stepRounding: 'floor' }
+};
 
-// =============================================================================
-// DRAWING FUNCTIONS
-// =============================================================================
+const SCALE_FIELDS = {
+  min: 'scaleMin',
+  max: 'scaleMax',
+  tiers: 'scaleTiers',
+  stepsPerTier: 'scaleSteps',
+  suffix: 'scaleSuffix'
+};
 
 /**
- * Draw background with optional per-slice animation progress
- * @param {number[]} sliceProgress - Array of progress values (0-1) for each slice
- * @param {number[]} tierProgress - Array of progress values (0-1) for each tier within slices
+ * Switch to a new value scale, keeping the entered values
+ * @param {Object} scale - { min, max, tiers, stepsPerTier, suffix }
+ * @returns {boolean} Whether the scale was valid and applied
  */
-function drawBackground(sliceProgress = null, tierProgress = null) {
-  backgroundLayer.destroyChildren();
+function setScale(scale) {
+  if (!isValidScale(scale)) return false;
 
-  const { centerX, centerY, layerThickness, sliceAngle, rotationAngle } = getChartGeometry();
+  const values = getRawValues();
+  CONFIG.scale = { ...scale, suffix: scale.suffix || '' };
 
-  for (let category = 0; category < CONFIG.numCategories; category++) {
-    const baseStartAngle = category * sliceAngle + rotationAngle;
-    const baseEndAngle = (category + 1) * sliceAngle + rotationAngle;
+  createInputs(values);
+  syncScaleControls();
+  updateChart(false);
+  return true;
+}
+
+function syncScaleControls() {
+  Object.entries(SCALE_FIELDS).forEach(([key, elementId]) => {
+    document.getElementById(elementId).value = CONFIG.scale[key];
+  });
 
-    // Get slice progress (angle sweep)
-    const sliceProg = sliceProgress ? sliceProgress[category] : 1;
-    if (sliceProg <= 0) continue;
+  const preset = Object.keys(SCALE_PRESETS).find(name => {
+    const candidate = SCALE_PRESETS[name];
+    return Object.keys(SCALE_FIELDS).every(key => candidate[key] === CONFIG.scale[key]);
+  });
+  document.getElementById('scalePreset').value = preset || 'custom';
+  document.getElementById('fillPrecision').value = fillPrecision;
+}
 
-    // Animate angle sweep clockwise
-    const animatedEndAngle = baseStartAngle + (baseEndAngle - baseStartAngle) * Easing.easeOutCubic(sliceProg);
+function setupScaleControls() {
+  const presetSelect = document.getElementById('scalePreset');
 
-    for (let tier = 0; tier < CONFIG.numTiers; tier++) {
-      const { startRadius, endRadius } = getRingBounds(tier, layerThickness);
+  Object.keys(SCALE_PRESETS).forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    presetSelect.appendChild(option);
+  });
 
-      // Get tier progress (radial build-out)
-      let tierProg = 1;
-      if (tierProgress && tierProgress[category]) {
-        tierProg = tierProgress[category][tier] || 0;
-      }
-      if (tierProg <= 0) continue;
+  const customOption = document.createElement('option');
+  customOption.value = 'custom';
+  customOption.textContent = t('scaleCustom');
+  presetSelect.appendChild(customOption);
 
-      // Animate radius from inner to outer
-      const easedTierProg = Easing.easeOutQuart(tierProg);
-      const animatedEndRadius = startRadius + (endRadius - startRadius) * easedTierProg;
+  presetSelect.addEventListener('change', () => {
+    const preset = SCALE_PRESETS[presetSelect.value];
+    if (preset) setScale(preset);
+  });
 
-      const segment = new Konva.Shape({
-        sceneFunc: createArcPath(centerX, centerY, startRadius, animatedEndRadius, baseStartAngle, animatedEndAngle),
-        fill: CONFIG.backgroundColors[tier]
+  Object.entries(SCALE_FIELDS).forEach(([key, elementId]) => {
+    document.getElementById(elementId).addEventListener('change', () => {
+      const scale = {};
+      Object.entries(SCALE_FIELDS).forEach(([field, id]) => {
+        const value = document.getElementById(id).value;
+        scale[field] = field === 'suffix' ? value : parseFloat(value);
       });
 
-      backgroundLayer.add(segment);
-    }
-  }
+      // Restore the current scale in the fields when the edit is invalid
+      if (!setScale(scale)) syncScaleControls();
+    });
+  });
 
-  // Draw gap lines as solid mask (always full opacity)
-  drawGapLines(backgroundLayer);
+  const fillSelect = document.getElementById('fillPrecision');
+  fillSelect.addEventListener('change', () => {
+    fillPrecision = fillSelect.value;
+    updateChart(false);
+  });
 
-  backgroundLayer.batchDraw();
+  syncScaleControls();
 }
 
-function drawGapLines(layer, opacity = 1) {
-  const { centerX, centerY, maxRadius, sliceAngle, rotationAngle } = getChartGeometry();
+// =============================================================================
+// THEMES
+// =============================================================================
+
+// Editable colors, in editor order; ring palettes get one picker per color
+const THEME_FIELDS = [
+  { key: 'backgroundColors', label: 'themeRings' },
+  { key: 'scoreColors', label: 'themeScores' },
+  { key: 'benchmarkColor', label: 'themeBenchmark' },
+  { key: 'averageColor', label: 'themeAverage' },
+  { key: 'averageStrokeColor', label: 'themeAverageOutline' },
+  { key: 'distributionColor', label: 'themeDistribution' },
+  { key: 'labelColor', label: 'themeLabels' },
+  { key: 'valueColor', label: 'themeValues' },
+  { key: 'valueStrokeColor', label: 'themeValueOutline' },
+  { key: 'backgroundColor', label: 'themeBackground' },
+  { key: 'tooltipColor', label: 'themeTooltip' },
+  { key: 'tooltipTextColor', label: 'themeTooltipText' }
+];
+
+// String keys for the names of the built-in themes
+const THEME_NAMES = {
+  default: 'themeDefault',
+  colorblind: 'themeColorblind',
+  greyscale: 'themeGreyscale'
+};
 
-  for (let i = 0; i < CONFIG.numCategories; i++) {
-    const angle = i * sliceAngle + rotationAngle;
+const CUSTOM_THEME_PREFIX = 'custom:';
+const UNSAVED_THEME = 'unsaved';
 
-    const gap = new Konva.Line({
-      points: [
-        centerX,
-        centerY,
-        centerX + Math.cos(angle) * (maxRadius + 20),
-        centerY + Math.sin(angle) * (maxRadius + 20)
-      ],
-      stroke: 'white',
-      strokeWidth: CONFIG.sliceGapThickness * 3,
-      opacity: opacity
-    });
+/**
+ * @returns {Object[]} Saved custom themes ({ id, name, ...colors })
+ */
+function loadCustomThemes() {
+  const themes = readStorage(STORAGE_KEYS.themes);
+  return Array.isArray(themes) ? themes.filter(custom => custom && custom.id && isValidTheme(custom)) : [];
+}
 
-    layer.add(gap);
+function saveCustomThemes(themes) {
+  const saved = writeStorage(STORAGE_KEYS.themes, themes);
+  if (!saved) {
+    showReport('themeReport', [t('themeStorageFull')], true);
   }
+  return saved;
 }
 
 /**
- * Draw scores with per-slice concentric animation (expands from center)
- * @param {number[]} scores - Score values for each category
- * @param {number|number[]} animationProgress - Global progress or per-slice progress array
+ * Switch the chart and the page accents to another theme
+ * @param {string|Object} nextTheme - Built-in theme name or theme object
  */
-function drawScores(scores, animationProgress = 1) {
-  scoreLayer.destroyChildren();
-
-  const { centerX, centerY, layerThickness, sliceAngle, rotationAngle } = getChartGeometry();
-  const isPerSlice = Array.isArray(animationProgress);
-
-  // Calculate the maximum possible radius for scaling
-  const maxTierBounds = getRingBounds(CONFIG.numTiers - 1, layerThickness);
-  const maxPossibleRadius = maxTierBounds.endRadius;
-
-  for (let category = 0; category < CONFIG.numCategories; category++) {
-    const startAngle = category * sliceAngle + rotationAngle;
-    const endAngle = (category + 1) * sliceAngle + rotationAngle;
-
-    // Get progress for this slice
-    const sliceProgress = isPerSlice ? animationProgress[category] : animationProgress;
-    if (sliceProgress <= 0) continue;
-
-    // Use exponential easing for smooth concentric expansion
-    const easedProgress = Easing.easeOutExpo(sliceProgress);
-
-    // Calculate the current maximum radius based on animation progress
-    const currentMaxRadius = maxPossibleRadius * easedProgress;
-
-    const score = scores[category];
-
-    for (let tier = 0; tier < CONFIG.numTiers; tier++) {
-      const { startRadius, endRadius } = getRingBounds(tier, layerThickness);
-
-      // Skip this tier if animation hasn't reached it yet
-      if (startRadius > currentMaxRadius) continue;
-
-      // Calculate filled portion for this tier based on score
-      const layersFilled = Math.max(0, Math.min(10, Math.floor(score * 10) - tier * 10));
-
-      if (layersFilled > 0) {
-        const fillRatio = layersFilled / 10;
-        const targetEndRadius = startRadius + (endRadius - startRadius) * fillRatio;
-
-        // Clamp the end radius to the current animation radius
-        const animatedEndRadius = Math.min(targetEndRadius, currentMaxRadius);
-
-        // Only draw if there's something visible
-        if (animatedEndRadius > startRadius) {
-          const segment = new Konva.Shape({
-            sceneFunc: createArcPath(centerX, centerY, startRadius, animatedEndRadius, startAngle, endAngle),
-            fill: CONFIG.scoreColors[tier],
-            category: category,
-            tier: tier,
-            value: scores[category],
-            type: 'score'
-          });
-
-          // Add hover events
-          segment.on('mouseenter', function(e) {
-            const shape = e.target;
-            document.body.style.cursor = 'pointer';
-            shape.opacity(0.8);
-            scoreLayer.batchDraw();
-
-            const pos = stage.getPointerPosition();
-            showTooltip(shape.attrs.category, shape.attrs.tier, shape.attrs.value, 'score', pos.x, pos.y);
-          });
-
-          segment.on('mouseleave', function(e) {
-            document.body.style.cursor = 'default';
-            e.target.opacity(1);
-            scoreLayer.batchDraw();
-            hideTooltip();
-          });
-
-          segment.on('mousemove', function(e) {
-            const pos = stage.getPointerPosition();
-            showTooltip(e.target.attrs.category, e.target.attrs.tier, e.target.attrs.value, 'score', pos.x, pos.y);
-          });
-
-          scoreLayer.add(segment);
-        }
-      }
-    }
-  }
-
-  // Draw gap lines as solid mask (always full opacity)
-  drawGapLines(scoreLayer);
-  scoreLayer.batchDraw();
+function setTheme(nextTheme) {
+  theme = nextTheme;
+  applyThemeToPage();
+  renderThemeOptions();
+  updateChart(false);
 }
 
 /**
- * Draw benchmarks with per-slice concentric animation (expands from center)
- * @param {number[]} benchmarks - Benchmark values for each category
- * @param {number|number[]} animationProgress - Global progress or per-slice progress array
+ * Buttons, input borders and headings use CSS variables that follow the theme
  */
-function drawBenchmarks(benchmarks, animationProgress = 1) {
-  benchmarkLayer.destroyChildren();
-
-  if (!showBenchmark) {
-    benchmarkLayer.batchDraw();
-    return;
-  }
-
-  const { centerX, centerY, layerThickness, sliceAngle, rotationAngle } = getChartGeometry();
-  const isPerSlice = Array.isArray(animationProgress);
-
-  // Calculate the maximum possible radius for scaling
-  const maxTierBounds = getRingBounds(CONFIG.numTiers - 1, layerThickness);
-  const maxPossibleRadius = maxTierBounds.endRadius;
-
-  for (let category = 0; category < CONFIG.numCategories; category++) {
-    const startAngle = category * sliceAngle + rotationAngle;
-    const endAngle = (category + 1) * sliceAngle + rotationAngle;
-
-    const sliceProgress = isPerSlice ? animationProgress[category] : animationProgress;
-    if (sliceProgress <= 0) continue;
-
-    // Use exponential easing for smooth concentric expansion
-    const easedProgress = Easing.easeOutExpo(sliceProgress);
-
-    // Calculate the current maximum radius based on animation progress
-    const currentMaxRadius = maxPossibleRadius * easedProgress;
-
-    const benchmark = benchmarks[category];
-
-    for (let tier = 0; tier < CONFIG.numTiers; tier++) {
-      const { startRadius, endRadius } = getRingBounds(tier, layerThickness);
-
-      // Skip this tier if animation hasn't reached it yet
-      if (startRadius > currentMaxRadius) continue;
-
-      const layersFilled = Math.max(0, Math.min(10, Math.floor(benchmark * 10) - tier * 10));
-
-      if (layersFilled > 0) {
-        const fillRatio = layersFilled / 10;
-        const targetEndRadius = startRadius + (endRadius - startRadius) * fillRatio;
-
-        // Clamp the end radius to the current animation radius
-        const animatedEndRadius = Math.min(targetEndRadius, currentMaxRadius);
-
-        // Only draw if there's something visible
-        if (animatedEndRadius > startRadius) {
-          const segment = new Konva.Shape({
-            sceneFunc: createArcPath(centerX, centerY, startRadius, animatedEndRadius, startAngle, endAngle),
-            fill: CONFIG.benchmarkColor,
-            category: category,
-            tier: tier,
-            value: benchmarks[category],
-            type: 'benchmark'
-          });
-
-          segment.on('mouseenter', function(e) {
-            const shape = e.target;
-            document.body.style.cursor = 'pointer';
-            shape.opacity(0.8);
-            benchmarkLayer.batchDraw();
+function applyThemeToPage() {
+  const colors = resolveTheme(theme);
+  const style = document.documentElement.style;
+
+  style.setProperty('--theme-primary', colors.labelColor);
+  style.setProperty('--theme-score', colors.scoreColors[Math.floor((colors.scoreColors.length - 1) / 2)]);
+  style.setProperty('--theme-benchmark', colors.benchmarkColor);
+  style.setProperty('--theme-average', colors.averageColor);
+  style.setProperty('--theme-ring', colors.backgroundColors[colors.backgroundColors.length - 1]);
+  style.setProperty('--theme-background', colors.backgroundColor);
+}
 
-            const pos = stage.getPointerPosition();
-            showTooltip(shape.attrs.category, shape.attrs.tier, shape.attrs.value, 'benchmark', pos.x, pos.y);
-          });
+function renderThemeOptions() {
+  const select = document.getElementById('themeSelect');
+  const customThemes = loadCustomThemes();
+  select.innerHTML = '';
 
-          segment.on('mouseleave', function(e) {
-            document.body.style.cursor = 'default';
-            e.target.opacity(1);
-            benchmarkLayer.batchDraw();
-            hideTooltip();
-          });
+  const addOption = (value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  };
 
-          segment.on('mousemove', function(e) {
-            const pos = stage.getPointerPosition();
-            showTooltip(e.target.attrs.category, e.target.attrs.tier, e.target.attrs.value, 'benchmark', pos.x, pos.y);
-          });
+  Object.entries(THEMES).forEach(([key, builtIn]) => addOption(key, THEME_NAMES[key] ? t(THEME_NAMES[key]) : builtIn.name));
+  customThemes.forEach(custom => addOption(`${CUSTOM_THEME_PREFIX}${custom.id}`, custom.name));
 
-          benchmarkLayer.add(segment);
-        }
-      }
-    }
+  if (typeof theme === 'string') {
+    select.value = theme;
+  } else if (customThemes.some(custom => custom.id === theme.id)) {
+    select.value = `${CUSTOM_THEME_PREFIX}${theme.id}`;
+  } else {
+    // Edited colors, or a theme that arrived with a shared link or project
+    addOption(UNSAVED_THEME, t('themeUnsaved', { name: theme.name || t('themeCustom') }));
+    select.value = UNSAVED_THEME;
   }
-
-  benchmarkLayer.batchDraw();
 }
 
 /**
- * Draw averages with per-slice animation support
- * @param {number[]} averages - Average values for each category
- * @param {number|number[]} animationProgress - Global progress or per-slice progress array
+ * Color pickers for the active theme; every change previews immediately as
+ * an unsaved theme
  */
-function drawAverages(averages, animationProgress = 1) {
-  averageLayer.destroyChildren();
+function renderThemeEditor() {
+  const editor = document.getElementById('themeEditor');
+  const colors = resolveTheme(theme);
+  editor.innerHTML = '';
 
-  if (!showAverage) {
-    averageLayer.batchDraw();
-    return;
-  }
+  THEME_FIELDS.forEach(({ key, label }) => {
+    const name = document.createElement('span');
+    name.textContent = t(label);
 
-  const { centerX, centerY, layerThickness, sliceAngle, rotationAngle } = getChartGeometry();
-  const isPerSlice = Array.isArray(animationProgress);
-
-  for (let category = 0; category < CONFIG.numCategories; category++) {
-    const startAngle = category * sliceAngle + rotationAngle;
-    const endAngle = (category + 1) * sliceAngle + rotationAngle;
-    const average = averages[category];
-
-    if (average <= 0) continue;
-
-    const sliceProgress = isPerSlice ? animationProgress[category] : animationProgress;
-    if (sliceProgress <= 0) continue;
-
-    const easedProgress = Easing.easeOutBack(sliceProgress); // Use back easing for bouncy effect
-
-    // Calculate layer position
-    const averageLayer_idx = Math.floor(average * 10) - 1;
-    if (averageLayer_idx < 0) continue;
-
-    const tierIndex = Math.floor(averageLayer_idx / 10);
-    const layerWithinTier = averageLayer_idx % 10;
-    const actualLayer = CONFIG.centerHole + tierIndex * (CONFIG.ringThickness + CONFIG.gapThickness) + layerWithinTier;
-
-    // Calculate indicator geometry
-    const baseRadius = actualLayer * layerThickness;
-    const midRadius = baseRadius + layerThickness / 2;
-
-    // Pill-shaped indicator with circular end caps
-    const protrusion = 10;
-    const protrusionAngle = Math.asin(protrusion / midRadius);
-    const midAngle = (startAngle + endAngle) / 2;
-
-    // Animated position (grows from center)
-    const animatedRadius = midRadius * easedProgress;
-
-    if (sliceProgress > 0.1) {
-      const circleRadius = layerThickness * 0.6;
-      const scaledCircleRadius = circleRadius * Math.min(1, easedProgress);
-
-      // Start circle
-      const startCircle = new Konva.Circle({
-        x: centerX + animatedRadius * Math.cos(midAngle - protrusionAngle),
-        y: centerY + animatedRadius * Math.sin(midAngle - protrusionAngle),
-        radius: scaledCircleRadius,
-        fill: CONFIG.averageColor,
-        stroke: CONFIG.averageStrokeColor,
-        strokeWidth: 2,
-        category: category,
-        tier: tierIndex,
-        value: average,
-        type: 'average'
-      });
+    const pickers = document.createElement('span');
+    const values = Array.isArray(colors[key]) ? colors[key] : [colors[key]];
 
-      // End circle
-      const endCircle = new Konva.Circle({
-        x: centerX + animatedRadius * Math.cos(midAngle + protrusionAngle),
-        y: centerY + animatedRadius * Math.sin(midAngle + protrusionAngle),
-        radius: scaledCircleRadius,
-        fill: CONFIG.averageColor,
-        stroke: CONFIG.averageStrokeColor,
-        strokeWidth: 2
+    values.forEach((color, index) => {
+      const input = document.createElement('input');
+      input.type = 'color';
+      input.value = color.toLowerCase();
+      input.addEventListener('input', () => {
+        const { id, ...edited } = resolveTheme(theme);
+        if (Array.isArray(edited[key])) {
+          edited[key][index] = input.value;
+        } else {
+          edited[key] = input.value;
+        }
+        setTheme(edited);
       });
+      pickers.appendChild(input);
+    });
 
-      // Connecting arc
-      const arcShape = new Konva.Shape({
-        sceneFunc: function(context, shape) {
-          const innerR = animatedRadius - scaledCircleRadius;
-          const outerR = animatedRadius + scaledCircleRadius;
-
-          context.beginPath();
-          context.arc(centerX, centerY, outerR, midAngle - protrusionAngle, midAngle + protrusionAngle);
-          context.arc(centerX, centerY, innerR, midAngle + protrusionAngle, midAngle - protrusionAngle, true);
-          context.closePath();
-          context.fillStrokeShape(shape);
-        },
-        fill: CONFIG.averageColor,
-        stroke: CONFIG.averageStrokeColor,
-        strokeWidth: 2
-      });
+    editor.appendChild(name);
+    editor.appendChild(pickers);
+  });
 
-      // Add hover events to all parts
-      [startCircle, endCircle, arcShape].forEach(shape => {
-        shape.on('mouseenter', function(e) {
-          document.body.style.cursor = 'pointer';
-          const pos = stage.getPointerPosition();
-          showTooltip(category, tierIndex, average, 'average', pos.x, pos.y);
-        });
-
-        shape.on('mouseleave', function() {
-          document.body.style.cursor = 'default';
-          hideTooltip();
-        });
-
-        shape.on('mousemove', function() {
-          const pos = stage.getPointerPosition();
-          showTooltip(category, tierIndex, average, 'average', pos.x, pos.y);
-        });
-      });
+  document.getElementById('themeName').value = typeof theme === 'string' ? '' : theme.name || '';
+}
 
-      averageLayer.add(arcShape);
-      averageLayer.add(startCircle);
-      averageLayer.add(endCircle);
-    }
-  }
+/**
+ * Save the active colors as a custom theme, replacing one with the same name
+ */
+function saveCustomTheme(name) {
+  const themes = loadCustomThemes();
+  const existing = themes.find(custom => custom.name === name);
 
-  averageLayer.batchDraw();
-}
+  if (existing && !confirm(t('themeReplace', { name }))) return;
 
-function drawLabels() {
-  labelLayer.destroyChildren();
+  const { id, ...colors } = resolveTheme(theme);
+  const saved = { ...colors, id: existing ? existing.id : createStorageId(), name };
+  const next = existing
+    ? themes.map(custom => (custom.id === existing.id ? saved : custom))
+    : themes.concat(saved);
 
-  const { centerX, centerY, maxRadius, sliceAngle, rotationAngle } = getChartGeometry();
+  if (!saveCustomThemes(next)) return;
 
-  // Draw category labels (axis names) if enabled
-  if (showLabels) {
-    for (let category = 0; category < CONFIG.numCategories; category++) {
-      const midAngle = category * sliceAngle + sliceAngle / 2 + rotationAngle;
-      const labelRadius = maxRadius + 30;
+  setTheme(saved);
+  showReport('themeReport', [t('themeSaved', { name })], false);
+}
 
-      const x = centerX + labelRadius * Math.cos(midAngle);
-      const y = centerY + labelRadius * Math.sin(midAngle);
+function deleteCustomTheme(id) {
+  const themes = loadCustomThemes();
+  const custom = themes.find(candidate => candidate.id === id);
+  if (!custom || !confirm(t('themeDelete', { name: custom.name }))) return;
 
-      // Calculate rotation for label to follow circle
-      let rotation = (midAngle * 180 / Math.PI) + 90;
+  if (!saveCustomThemes(themes.filter(candidate => candidate.id !== id))) return;
 
-      // Flip text on left side so it's readable
-      if (midAngle > Math.PI / 2 && midAngle < Math.PI * 1.5) {
-        rotation += 180;
-      }
+  // The chart keeps the colors; they now show as unsaved
+  renderThemeOptions();
+  showReport('themeReport', [t('themeDeleted', { name: custom.name })], false);
+}
 
-      const label = new Konva.Text({
-        x: x,
-        y: y,
-        text: CONFIG.categoryLabels[category],
-        fontSize: 12,
-        fontFamily: 'Arial',
-        fontStyle: 'bold',
-        fill: '#076C98',
-        align: 'center',
-        offsetX: 40,
-        offsetY: 10,
-        rotation: rotation
-      });
+function setupThemes() {
+  const select = document.getElementById('themeSelect');
 
-      labelLayer.add(label);
+  select.addEventListener('change', () => {
+    if (select.value.startsWith(CUSTOM_THEME_PREFIX)) {
+      const id = select.value.slice(CUSTOM_THEME_PREFIX.length);
+      const custom = loadCustomThemes().find(candidate => candidate.id === id);
+      if (custom) setTheme(custom);
+    } else if (THEMES[select.value]) {
+      setTheme(select.value);
     }
-  }
+    renderThemeEditor();
+  });
 
-  // Draw value labels if enabled
-  if (showValues) {
-    const scores = getValues('scoreInputs');
-    drawValueLabels(scores);
-  }
+  document.getElementById('saveTheme').addEventListener('click', () => {
+    const name = document.getElementById('themeName').value.trim();
+    if (!name) {
+      showReport('themeReport', [t('themeNameMissing')], true, null);
+      return;
+    }
+    saveCustomTheme(name);
+  });
 
-  labelLayer.batchDraw();
-}
-
-function drawValueLabels(scores) {
-  const { centerX, centerY, layerThickness, sliceAngle, rotationAngle } = getChartGeometry();
-
-  // Position in gap between 3rd and 4th rings
-  const thirdRingOuter = (CONFIG.centerHole + 3 * (CONFIG.ringThickness + CONFIG.gapThickness)) * layerThickness;
-  let gapCenterRadius = thirdRingOuter * (valueDistancePercent / 100);
-
-  for (let category = 0; category < CONFIG.numCategories; category++) {
-    const angle = category * sliceAngle + sliceAngle / 2 + rotationAngle + (valueAngleOffset * Math.PI / 180);
-    const x = centerX + gapCenterRadius * Math.cos(angle);
-    const y = centerY + gapCenterRadius * Math.sin(angle);
-
-    const valueText = new Konva.Text({
-      x: x,
-      y: y,
-      text: scores[category].toFixed(1),
-      fontSize: valueFontSize,
-      fontFamily: 'Arial',
-      fontStyle: 'bold',
-      fill: 'white',
-      stroke: 'black',
-      strokeWidth: 1,
-      align: 'center',
-      offsetX: valueFontSize / 2,
-      offsetY: valueFontSize / 2
-    });
+  document.getElementById('deleteTheme').addEventListener('click', () => {
+    if (!select.value.startsWith(CUSTOM_THEME_PREFIX)) {
+      showReport('themeReport', [t('themeNotSelected')], true, null);
+      return;
+    }
+    deleteCustomTheme(select.value.slice(CUSTOM_THEME_PREFIX.length));
+  });
 
-    labelLayer.add(valueText);
-  }
+  applyThemeToPage();
+  renderThemeOptions();
+  renderThemeEditor();
 }
 
 // =============================================================================
-// ANIMATION
+// LANGUAGES
 // =============================================================================
 
+function isLanguage(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(LOCALES, code);
+}
+
 /**
- * Calculate staggered progress for each slice (clockwise with overlap)
- * @param {number} elapsed - Elapsed time in ms
- * @param {number} duration - Total animation duration
- * @param {number} staggerDelay - Delay between each slice starting
- * @returns {number[]} Array of progress values (0-1) for each slice
+ * A UI string of the active language, with {placeholders} filled in
+ * @param {string} key - Key of the pack's strings
+ * @param {Object} [params] - Placeholder values
  */
-function calculateSliceProgress(elapsed, duration, staggerDelay) {
-  const sliceProgress = [];
-  const overlap = CONFIG.sliceOverlap;
-  const effectiveSliceDuration = duration * (1 - overlap * 0.5);
-
-  for (let i = 0; i < CONFIG.numCategories; i++) {
-    const sliceStart = i * staggerDelay;
-    const sliceElapsed = Math.max(0, elapsed - sliceStart);
-    const progress = Math.min(1, sliceElapsed / effectiveSliceDuration);
-    sliceProgress.push(progress);
-  }
+function t(key, params = {}) {
+  const template = LOCALES[language].strings[key] || LOCALES.en.strings[key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
 
-  return sliceProgress;
+/**
+ * The first browser language with a locale pack
+ */
+function detectLanguage() {
+  const requested = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+  const match = requested
+    .filter(Boolean)
+    .map(tag => tag.toLowerCase().split('-')[0])
+    .find(isLanguage);
+  return match || CONFIG.defaultLanguage;
 }
 
 /**
- * Calculate tier progress within each slice (outward building)
- * @param {number[]} sliceProgress - Progress for each slice
- * @returns {number[][]} 2D array of tier progress for each slice
+ * Set the language for strings, number formats and import messages,
+ * without touching the page (see setLanguage)
  */
-function calculateTierProgress(sliceProgress) {
-  const tierProgress = [];
-
-  for (let i = 0; i < CONFIG.numCategories; i++) {
-    const sliceProg = sliceProgress[i];
-    const tiers = [];
-
-    for (let t = 0; t < CONFIG.numTiers; t++) {
-      // Tiers build outward with slight delay
-      const tierDelay = t * 0.15; // 15% delay per tier
-      const tierProg = Math.max(0, Math.min(1, (sliceProg - tierDelay) / (1 - tierDelay)));
-      tiers.push(tierProg);
-    }
+function useLanguage(code) {
+  language = code;
+  ChartData.setMessages(LOCALES[code].data);
+  Survey.setMessages(LOCALES[code].survey);
+}
 
-    tierProgress.push(tiers);
-  }
+/**
+ * Switch the page and the chart to another language. Category names that
+ * still have the previous language's default follow along; typed names stay.
+ */
+function setLanguage(code) {
+  if (!isLanguage(code) || code === language) return;
+
+  const previous = LOCALES[language];
+  const previousDefaults = CONFIG.categoryLabels.map((label, index) => (
+    label === previous.categories[index] || label === getDefaultCategoryLabel(index)
+  ));
+  const values = getRawValues();
+
+  useLanguage(code);
+  CONFIG.categoryLabels = CONFIG.categoryLabels.map((label, index) => {
+    if (!previousDefaults[index]) return label;
+    return LOCALES[code].categories[index] || getDefaultCategoryLabel(index);
+  });
 
-  return tierProgress;
+  createInputs(values);
+  translatePage();
+  updateChart(false);
 }
 
 /**
- * Animate just the grid (background) with staggered clockwise building
+ * Fill every data-i18n element and re-render the generated lists in the
+ * active language
  */
-function animateGrid() {
-  if (gridAnimationRef) {
-    gridAnimationRef.stop();
-  }
+function translatePage() {
+  document.documentElement.lang = language;
 
-  const startTime = performance.now();
-  const duration = CONFIG.gridAnimationDuration;
-  const staggerDelay = CONFIG.sliceStaggerDelay;
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  });
+  document.querySelectorAll('[data-i18n-title]').forEach(element => {
+    element.title = t(element.dataset.i18nTitle);
+  });
 
-  // Clear background first
-  backgroundLayer.destroyChildren();
-  backgroundLayer.batchDraw();
+  document.querySelector('#scalePreset option[value="custom"]').textContent = t('scaleCustom');
+  document.getElementById('languageSelect').value = language;
+  createCategoryInputs();
+  renderThemeOptions();
+  renderThemeEditor();
+  renderProjectList();
+  updateTimelineControls(chart.getTimeline());
+  updateExportSizeControls();
+}
 
-  gridAnimationRef = new Konva.Animation((frame) => {
-    const elapsed = performance.now() - startTime;
-    const sliceProgress = calculateSliceProgress(elapsed, duration, staggerDelay);
-    const tierProgress = calculateTierProgress(sliceProgress);
+function setupLanguages() {
+  const select = document.getElementById('languageSelect');
 
-    drawBackground(sliceProgress, tierProgress);
+  Object.entries(LOCALES).forEach(([code, pack]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = pack.name;
+    select.appendChild(option);
+  });
 
-    // Check if all slices are complete
-    const allComplete = sliceProgress.every(p => p >= 1);
-    if (allComplete) {
-      gridAnimationRef.stop();
-      gridAnimationRef = null;
-      drawBackground(); // Final clean draw
-    }
-  }, backgroundLayer);
+  select.addEventListener('change', () => setLanguage(select.value));
 
-  gridAnimationRef.start();
+  translatePage();
 }
 
-/**
- * Animate data layers (scores, benchmarks, averages) with staggered clockwise effect
- */
-function animateData() {
-  if (dataAnimationRef) {
-    dataAnimationRef.stop();
-  }
-
-  const scores = getValues('scoreInputs');
-  const benchmarks = getValues('benchmarkInputs');
-  const averages = getValues('averageInputs');
-
-  const startTime = performance.now();
-  const duration = CONFIG.animationDuration;
-  const staggerDelay = CONFIG.sliceStaggerDelay;
-
-  // Clear data layers first
-  scoreLayer.destroyChildren();
-  benchmarkLayer.destroyChildren();
-  averageLayer.destroyChildren();
-  labelLayer.destroyChildren();
-  scoreLayer.batchDraw();
-  benchmarkLayer.batchDraw();
-  averageLayer.batchDraw();
-  labelLayer.batchDraw();
-
-  dataAnimationRef = new Konva.Animation((frame) => {
-    const elapsed = performance.now() - startTime;
-    const sliceProgress = calculateSliceProgress(elapsed, duration, staggerDelay);
-
-    // Draw data with per-slice progress
-    if (showBenchmark) {
-      drawBenchmarks(benchmarks, sliceProgress);
-    }
-    drawScores(scores, sliceProgress);
-    if (showAverage) {
-      drawAverages(averages, sliceProgress);
-    }
-
-    // Check if all slices are complete
-    const allComplete = sliceProgress.every(p => p >= 1);
-    if (allComplete) {
-      dataAnimationRef.stop();
-      dataAnimationRef = null;
-      // Final clean draw
-      if (showBenchmark) {
-        drawBenchmarks(benchmarks);
-      }
-      drawScores(scores);
-      if (showAverage) {
-        drawAverages(averages);
-      }
-      drawLabels();
-    }
-  }, scoreLayer);
+// =============================================================================
+// CATEGORIES
+// =============================================================================
 
-  dataAnimationRef.start();
+function getDefaultCategoryLabel(index) {
+  return t('defaultCategory', { number: index + 1 });
 }
 
-/**
- * Full chart animation - grid first, then data with overlap
- */
-function animateChart(scores, benchmarks, averages) {
-  if (isAnimating) return;
-  isAnimating = true;
-
-  // Stop any existing animations
-  if (gridAnimationRef) gridAnimationRef.stop();
-  if (dataAnimationRef) dataAnimationRef.stop();
-
-  const startTime = performance.now();
-  const gridDuration = CONFIG.gridAnimationDuration;
-  const dataDuration = CONFIG.animationDuration;
-  const staggerDelay = CONFIG.sliceStaggerDelay;
-  const dataStartDelay = gridDuration * 0.3; // Data starts after 30% of grid animation
-
-  // Clear all layers
-  backgroundLayer.destroyChildren();
-  scoreLayer.destroyChildren();
-  benchmarkLayer.destroyChildren();
-  averageLayer.destroyChildren();
-  labelLayer.destroyChildren();
-  backgroundLayer.batchDraw();
-  scoreLayer.batchDraw();
-  benchmarkLayer.batchDraw();
-  averageLayer.batchDraw();
-  labelLayer.batchDraw();
-
-  const animation = new Konva.Animation((frame) => {
-    const elapsed = performance.now() - startTime;
-
-    // Grid animation
-    const gridSliceProgress = calculateSliceProgress(elapsed, gridDuration, staggerDelay);
-    const gridTierProgress = calculateTierProgress(gridSliceProgress);
-    drawBackground(gridSliceProgress, gridTierProgress);
-
-    // Data animation (starts with delay)
-    const dataElapsed = Math.max(0, elapsed - dataStartDelay);
-    if (dataElapsed > 0) {
-      const dataSliceProgress = calculateSliceProgress(dataElapsed, dataDuration, staggerDelay);
-
-      if (showBenchmark) {
-        drawBenchmarks(benchmarks, dataSliceProgress);
-      }
-      drawScores(scores, dataSliceProgress);
-      if (showAverage) {
-        drawAverages(averages, dataSliceProgress);
-      }
-    }
+function addCategory(label = getDefaultCategoryLabel(CONFIG.numCategories)) {
+  const values = getRawValues();
 
-    // Check if everything is complete
-    const gridComplete = gridSliceProgress.every(p => p >= 1);
-    const dataElapsedForCheck = Math.max(0, elapsed - dataStartDelay);
-    const dataSliceProgressForCheck = calculateSliceProgress(dataElapsedForCheck, dataDuration, staggerDelay);
-    const dataComplete = dataSliceProgressForCheck.every(p => p >= 1);
-
-    if (gridComplete && dataComplete) {
-      animation.stop();
-      isAnimating = false;
-      // Final clean draw
-      drawBackground();
-      if (showBenchmark) {
-        drawBenchmarks(benchmarks);
-      }
-      drawScores(scores);
-      if (showAverage) {
-        drawAverages(averages);
-      }
-      drawLabels();
-    }
-  }, backgroundLayer);
+  CONFIG.categoryLabels.push(label);
+  CONFIG.numCategories = CONFIG.categoryLabels.length;
 
-  animation.start();
+  createInputs(values);
+  updateChart(false);
 }
 
-/**
- * Generate random values and fill inputs
- */
-function generateRandomValues() {
-  const sections = ['scoreInputs', 'benchmarkInputs', 'averageInputs'];
-
-  sections.forEach(sectionId => {
-    const inputs = document.querySelectorAll(`#${sectionId} input`);
-    inputs.forEach(input => {
-      // Generate random value between 0.5 and 4.0, rounded to 1 decimal
-      const randomValue = (Math.random() * 3.5 + 0.5).toFixed(1);
-      input.value = randomValue;
-    });
-  });
+function removeCategory(index) {
+  if (CONFIG.numCategories <= CONFIG.minCategories) return;
 
-  // Animate with the new values
-  updateChart(true);
-}
+  const values = getRawValues();
+  VALUE_SECTIONS.forEach(sectionId => values[sectionId].splice(index, 1));
+  distributions.splice(index, 1);
 
-function updateChart(animate = false) {
-  const scores = getValues('scoreInputs');
-  const benchmarks = getValues('benchmarkInputs');
-  const averages = getValues('averageInputs');
+  CONFIG.categoryLabels.splice(index, 1);
+  CONFIG.numCategories = CONFIG.categoryLabels.length;
 
-  if (animate) {
-    animateChart(scores, benchmarks, averages);
-  } else {
-    drawBackground();
-    drawBenchmarks(benchmarks);
-    drawScores(scores);
-    drawAverages(averages);
-    drawLabels();
-  }
+  createInputs(values);
+  updateChart(false);
 }
 
-// =============================================================================
-// INPUT HANDLING
-// =============================================================================
+function setCategoryLabel(index, label) {
+  CONFIG.categoryLabels[index] = label;
 
-function createInputs() {
-  const sections = ['scoreInputs', 'benchmarkInputs', 'averageInputs'];
-  sections.forEach((sectionId) => {
-    const container = document.getElementById(sectionId);
-    for (let i = 0; i < 6; i++) {
-      const input = document.createElement('input');
-      input.type = 'number';
-      input.min = '0';
-      input.max = '4';
-      input.step = '0.1';
-      input.value = '0';
-      input.placeholder = `${i + 1}`;
-      input.addEventListener('input', () => updateChart(false));
-      container.appendChild(input);
-    }
+  VALUE_SECTIONS.forEach((sectionId) => {
+    const input = document.querySelectorAll(`#${sectionId} input`)[index];
+    if (input) input.title = label;
   });
+
+  chart.setData({ labels: CONFIG.categoryLabels });
+  onStateChanged();
 }
 
 function getValues(sectionId) {
   return Array.from(document.querySelectorAll(`#${sectionId} input`)).map(
     (input) => {
       let value = parseFloat(input.value);
-      return isNaN(value) ? 0 : Math.max(0, Math.min(4, value));
+      return isNaN(value) ? CONFIG.scale.min : clampToScale(value, CONFIG.scale);
     }
   );
 }
@@ -992,6 +751,16 @@ function toggleVisibility(elementId) {
   updateChart(false);
 }
 
+/**
+ * Category summaries in the panel beside the chart instead of the tooltip;
+ * a view preference, so not part of the saved or shared state
+ */
+function toggleInfoPanel() {
+  const panel = document.getElementById('chartInfo');
+  panel.hidden = !document.getElementById('toggleInfoPanel').checked;
+  chart.setOptions({ infoPanel: panel.hidden ? null : panel });
+}
+
 function setupValueControls() {
   const angleInput = document.getElementById('valueAngleOffset');
   const fontSizeInput = document.getElementById('valueFontSize');
@@ -1014,46 +783,1292 @@ function setupValueControls() {
 }
 
 // =============================================================================
-// EXPORT (PNG)
+// IMPORT (CSV / JSON / PASTED CELLS)
 // =============================================================================
 
-function exportAsPNG() {
-  const fileName = document.getElementById('fileNameInput').value || 'radial-chart';
-
-  // Export at higher resolution
-  const dataURL = stage.toDataURL({ pixelRatio: 3 });
-  const link = document.createElement('a');
-  link.download = `${fileName}.png`;
-  link.href = dataURL;
-  link.click();
-}
+const MAX_REPORTED_ERRORS = 20;
 
-// =============================================================================
-// INITIALIZATION
-// =============================================================================
+/**
+ * Parse and, when valid, apply imported data; otherwise report every bad cell
+ */
+function importChartData(text) {
+  const result = parseChartData(text, CONFIG.scale);
 
-window.addEventListener('DOMContentLoaded', () => {
-  initKonva();
-  createInputs();
+  if (result.errors.length) {
+    showReport('importReport', result.errors, true);
+    return false;
+  }
 
-  // Initial draw with animation
-  updateChart(true);
+  distributions = [];
+  applyImportedData(result);
+  showReport('importReport', [t('imported', { count: CONFIG.numCategories })], false);
+  return true;
+}
 
-  setupValueControls();
+function applyImportedData({ labels, series }) {
+  const count = labels ? labels.length : Math.max(...Object.values(series).map(values => values.length));
+  const values = getRawValues();
 
-  // Toggle buttons
-  document.getElementById('toggleBenchmark').addEventListener('click', () => {
-    toggleVisibility('toggleBenchmark');
+  Object.entries(SERIES_INPUTS).forEach(([key, sectionId]) => {
+    values[sectionId] = series[key]
+      ? series[key].map(String)
+      : values[sectionId].slice(0, count);
   });
 
-  document.getElementById('toggleAverage').addEventListener('click', () => {
-    toggleVisibility('toggleAverage');
+  CONFIG.categoryLabels = Array.from({ length: count }, (_, index) => {
+    if (labels) return labels[index] || getDefaultCategoryLabel(index);
+    return CONFIG.categoryLabels[index] || getDefaultCategoryLabel(index);
+  });
+  CONFIG.numCategories = count;
+
+  createInputs(values);
+  transitionChart();
+}
+
+/**
+ * Show a list of messages (validation errors or a success note) in a report box
+ * @param {string} reportId - Id of the report element
+ * @param {string[]} messages - One list item per message
+ * @param {boolean} isError - Style as an error
+ * @param {string|null} [title] - Heading above the list (errors default to "Nothing was processed")
+ */
+function showReport(reportId, messages, isError, title = isError ? t('nothingProcessed') : null) {
+  const report = document.getElementById(reportId);
+  report.innerHTML = '';
+  report.classList.toggle('report-error', isError);
+
+  const list = document.createElement('ul');
+  messages.slice(0, MAX_REPORTED_ERRORS).forEach(message => {
+    const item = document.createElement('li');
+    item.textContent = message;
+    list.appendChild(item);
+  });
+  if (messages.length > MAX_REPORTED_ERRORS) {
+    const item = document.createElement('li');
+    item.textContent = t('moreErrors', { count: messages.length - MAX_REPORTED_ERRORS });
+    list.appendChild(item);
+  }
+
+  if (title) {
+    const heading = document.createElement('div');
+    heading.textContent = title;
+    report.appendChild(heading);
+  }
+  report.appendChild(list);
+  report.hidden = false;
+}
+
+function setupImport() {
+  const fileInput = document.getElementById('importFile');
+
+  document.getElementById('importData').addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    if (!file) return;
+
+    importChartData(await file.text());
+    fileInput.value = '';
+  });
+
+  // Multi-cell pastes (tabs or line breaks) anywhere outside text fields
+  document.addEventListener('paste', (event) => {
+    const target = event.target;
+    if (target.matches && target.matches('input[type="text"], textarea')) return;
+
+    const text = event.clipboardData.getData('text/plain');
+    if (!/[\t\n]/.test(text.trim())) return;
+
+    event.preventDefault();
+    importChartData(text);
+  });
+}
+
+// =============================================================================
+// SURVEY RESPONSES
+// =============================================================================
+
+/**
+ * Benchmark source for aggregateSurvey; null keeps the benchmark inputs
+ */
+function getSurveyBenchmark() {
+  const source = document.getElementById('surveyBenchmark').value;
+  const reference = document.getElementById('surveyReference').value.trim();
+
+  if (source === 'percentile') return { percentile: parseFloat(document.getElementById('surveyPercentile').value) };
+  if (source === 'group' && reference) return { group: reference };
+  return null;
+}
+
+/**
+ * Aggregate the responses into scores, averages and benchmarks for the
+ * current categories and put them in the inputs
+ */
+function applySurvey() {
+  const responses = parseResponses(document.getElementById('surveyResponses').value);
+  const mapping = parseItemMapping(document.getElementById('surveyItems').value, CONFIG.categoryLabels);
+  const result = responses.errors.length || mapping.errors.length
+    ? { errors: [...responses.errors, ...mapping.errors] }
+    : aggregateSurvey(responses, mapping.items, {
+      scale: CONFIG.scale,
+      labels: CONFIG.categoryLabels,
+      groupColumn: document.getElementById('surveyGroupColumn').value,
+      group: document.getElementById('surveyGroup').value,
+      benchmark: getSurveyBenchmark()
+    });
+
+  if (result.errors.length) {
+    showReport('surveyReport', result.errors, true);
+    return;
+  }
+
+  // Means rarely land on the scale's steps; the inputs show its precision
+  const decimals = getScaleDecimals(CONFIG.scale);
+  const series = {};
+  Object.entries(result.series).forEach(([key, values]) => {
+    series[key] = values.map(value => Number(value.toFixed(decimals)));
+  });
+
+  distributions = result.distributions;
+  applyImportedData({ labels: null, series });
+  showReport('surveyReport', [t('surveyApplied', result.counts)], false);
+}
+
+/**
+ * Offer the groups found in the group column as suggestions
+ */
+function updateSurveyGroups() {
+  const responses = parseResponses(document.getElementById('surveyResponses').value);
+  const groups = getColumnValues(responses, document.getElementById('surveyGroupColumn').value);
+  document.getElementById('surveyGroups').replaceChildren(...groups.map(group => new Option(group)));
+}
+
+function setupSurvey() {
+  const fileInput = document.getElementById('surveyFile');
+  const responsesInput = document.getElementById('surveyResponses');
+  const benchmarkSelect = document.getElementById('surveyBenchmark');
+
+  document.getElementById('loadSurveyFile').addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    if (!file) return;
+
+    responsesInput.value = await file.text();
+    fileInput.value = '';
+    updateSurveyGroups();
+  });
+
+  responsesInput.addEventListener('change', updateSurveyGroups);
+  document.getElementById('surveyGroupColumn').addEventListener('change', updateSurveyGroups);
+
+  benchmarkSelect.addEventListener('change', () => {
+    document.getElementById('surveyReferenceField').hidden = benchmarkSelect.value !== 'group';
+    document.getElementById('surveyPercentileField').hidden = benchmarkSelect.value !== 'percentile';
+  });
+
+  document.getElementById('applySurvey').addEventListener('click', applySurvey);
+
+  const bandSelect = document.getElementById('distributionBand');
+  const histogramToggle = document.getElementById('showHistogram');
+  bandSelect.addEventListener('change', () => {
+    distributionBand = bandSelect.value || null;
+    updateChart(false);
+  });
+  histogramToggle.addEventListener('change', () => {
+    showHistogram = histogramToggle.checked;
+    updateChart(false);
+  });
+}
+
+// =============================================================================
+// BATCH EXPORT
+// =============================================================================
+
+/**
+ * Render the final chart for every row and download them as one ZIP
+ */
+async function exportBatch() {
+  if (isBatchExporting) return;
+
+  const template = document.getElementById('batchTemplate').value.trim() || '{index}';
+  const format = document.getElementById('batchFormat').value;
+  const result = parseBatchTable(document.getElementById('batchData').value, CONFIG.scale, CONFIG.categoryLabels);
+  const errors = result.errors.length ? result.errors : getTemplateErrors(template, result.fields);
+
+  if (errors.length) {
+    showReport('batchReport', errors, true);
+    return;
+  }
+
+  isBatchExporting = true;
+  const exportButton = document.getElementById('exportBatch');
+  exportButton.disabled = true;
+
+  // Series missing from the table (often the population averages) come from the inputs
+  const current = {
+    scores: getValues('scoreInputs'),
+    benchmarks: getValues('benchmarkInputs'),
+    averages: getValues('averageInputs')
+  };
+
+  const usedNames = new Set();
+  const exportSize = getExportSize();
+  let renderer = null;
+
+  try {
+    // Render offscreen so the chart on the page keeps its state
+    renderer = createRadialChart(document.createElement('div'), getChartOptions());
+    const zip = new JSZip();
+
+    for (let index = 0; index < result.records.length; index++) {
+      const { fields, series } = result.records[index];
+      renderer.setData({
+        labels: CONFIG.categoryLabels,
+        scores: series.scores || current.scores,
+        benchmarks: series.benchmarks || current.benchmarks,
+        averages: series.averages || current.averages
+      });
+
+      const baseName = formatBatchFileName(template, fields, index);
+      let fileName = `${baseName}.${format}`;
+      for (let copy = 2; usedNames.has(fileName); copy++) {
+        fileName = `${baseName}-${copy}.${format}`;
+      }
+      usedNames.add(fileName);
+
+      if (format === 'svg') {
+        zip.file(fileName, renderer.toSVG());
+      } else {
+        zip.file(fileName, renderPNG(renderer, exportSize));
+      }
+
+      showReport('batchReport', [t('batchRendered', { index: index + 1, total: result.records.length })], false);
+
+      // Let the page repaint between charts
+      await new Promise(resolve => requestAnimationFrame(resolve));
+    }
+
+    const blob = await zip.generateAsync({ type: 'blob' });
+    const zipName = document.getElementById('fileNameInput').value || 'radial-chart';
+    downloadBlob(blob, `${zipName}.zip`);
+    showReport('batchReport', [t('batchExported', { count: result.records.length })], false);
+  } catch (error) {
+    showReport('batchReport', [error.message], true, t('batchFailed'));
+  } finally {
+    if (renderer) renderer.destroy();
+    exportButton.disabled = false;
+    isBatchExporting = false;
+  }
+}
+
+function setupBatchExport() {
+  const fileInput = document.getElementById('batchFile');
+  const dataInput = document.getElementById('batchData');
+
+  document.getElementById('loadBatchFile').addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    if (!file) return;
+
+    dataInput.value = await file.text();
+    fileInput.value = '';
+  });
+
+  document.getElementById('exportBatch').addEventListener('click', exportBatch);
+}
+
+// =============================================================================
+// ANIMATION EXPORT (GIF / WEBM / PNG SEQUENCE)
+// =============================================================================
+
+let isAnimationExporting = false;
+
+const ANIMATION_WRITERS = {
+  gif: createGIFWriter,
+  webm: createWebMWriter,
+  png: createPNGSequenceWriter
+};
+
+function canRecordWebM() {
+  return typeof MediaRecorder !== 'undefined' &&
+    MediaRecorder.isTypeSupported('video/webm') &&
+    typeof HTMLCanvasElement.prototype.captureStream === 'function';
+}
+
+/**
+ * Times (ms into the intro) of every frame at a fixed frame rate; the last
+ * frame is always the final state
+ */
+function getFrameTimes(duration, fps) {
+  const times = [];
+  for (let index = 0; index * 1000 / fps < duration; index++) {
+    times.push(index * 1000 / fps);
+  }
+  times.push(duration);
+  return times;
+}
+
+/**
+ * Display time per frame, rounded to whole hundredths (GIF's unit) without
+ * drifting from the frame rate; the last frame also gets the hold time
+ */
+function getFrameDelays(frameCount, fps, hold) {
+  const toHundredths = ms => Math.round(ms / 10) * 10;
+  return Array.from({ length: frameCount }, (_, index) => {
+    const delay = toHundredths((index + 1) * 1000 / fps) - toHundredths(index * 1000 / fps);
+    return index === frameCount - 1 ? delay + hold : delay;
+  });
+}
+
+function createGIFWriter(canvas) {
+  const encoder = GifEncoder.createGIFEncoder(canvas.width, canvas.height);
+  const context = canvas.getContext('2d');
+
+  return {
+    extension: 'gif',
+    addFrame: async (delay) => {
+      encoder.addFrame(context.getImageData(0, 0, canvas.width, canvas.height).data, delay);
+    },
+    finish: async () => new Blob([encoder.finish()], { type: 'image/gif' })
+  };
+}
+
+/**
+ * MediaRecorder timestamps frames as they arrive, so frames are fed in real
+ * time; the recording takes as long as the animation
+ */
+function createWebMWriter(canvas) {
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+  const chunks = [];
+
+  recorder.addEventListener('dataavailable', event => chunks.push(event.data));
+  recorder.start();
+
+  return {
+    extension: 'webm',
+    addFrame: async (delay) => {
+      track.requestFrame();
+      await new Promise(resolve => setTimeout(resolve, delay));
+    },
+    finish: () => new Promise(resolve => {
+      recorder.addEventListener('stop', () => resolve(new Blob(chunks, { type: 'video/webm' })));
+      recorder.stop();
+    })
+  };
+}
+
+/**
+ * One PNG per frame interval, so the hold survives importing the sequence
+ * into an editor at the same frame rate
+ */
+function createPNGSequenceWriter(canvas, fps) {
+  const zip = new JSZip();
+  let count = 0;
+
+  return {
+    extension: 'zip',
+    addFrame: async (delay) => {
+      const png = canvas.toDataURL('image/png').split(',')[1];
+      const copies = Math.max(1, Math.round(delay * fps / 1000));
+      for (let copy = 0; copy < copies; copy++) {
+        count++;
+        zip.file(`frame-${String(count).padStart(4, '0')}.png`, png, { base64: true });
+      }
+    },
+    finish: () => zip.generateAsync({ type: 'blob' })
+  };
+}
+
+/**
+ * Render the intro offscreen frame by frame, from elapsed time rather than
+ * the clock, and encode it in the chosen format
+ */
+async function exportAnimation() {
+  if (isAnimationExporting) return;
+
+  const format = document.getElementById('animationFormat').value;
+  const size = Math.min(2000, Math.max(100, parseInt(document.getElementById('animationSize').value, 10) || 600));
+  const fps = Number(document.getElementById('animationFPS').value);
+  const hold = Math.max(0, parseFloat(document.getElementById('animationHold').value) || 0) * 1000;
+
+  if (format === 'webm' && !canRecordWebM()) {
+    showReport('animationReport', [t('animationNoWebM')], true, null);
+    return;
+  }
+
+  isAnimationExporting = true;
+  const exportButton = document.getElementById('exportAnimation');
+  exportButton.disabled = true;
+
+  let renderer = null;
+
+  try {
+    renderer = createRadialChart(document.createElement('div'), {
+      ...getChartOptions(),
+      reducedMotion: false,
+      data: getChartData()
+    });
+    renderer.seek(0);
+    const { duration } = renderer.getTimeline();
+    const times = getFrameTimes(duration, fps);
+    const delays = getFrameDelays(times.length, fps, hold);
+    const pixelRatio = size / renderer.getOptions().size;
+
+    // Frames are flattened onto the theme background: GIF and video have no alpha
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    const background = renderer.getTheme().backgroundColor;
+
+    const writer = ANIMATION_WRITERS[format](canvas, fps);
+    const progressKey = format === 'webm' ? 'animationRecording' : 'animationRendered';
+
+    for (let index = 0; index < times.length; index++) {
+      renderer.seek(times[index]);
+      context.fillStyle = background;
+      context.fillRect(0, 0, size, size);
+      context.drawImage(renderer.toCanvas({ pixelRatio }), 0, 0, size, size);
+
+      await writer.addFrame(delays[index]);
+      showReport('animationReport', [t(progressKey, { index: index + 1, total: times.length })], false);
+
+      // Let the page repaint between frames
+      await new Promise(resolve => requestAnimationFrame(resolve));
+    }
+
+    const blob = await writer.finish();
+    const fileName = document.getElementById('fileNameInput').value || 'radial-chart';
+    downloadBlob(blob, `${fileName}.${writer.extension}`);
+    showReport('animationReport', [t('animationExported', { count: times.length })], false);
+  } catch (error) {
+    showReport('animationReport', [error.message], true, t('animationFailed'));
+  } finally {
+    if (renderer) renderer.destroy();
+    exportButton.disabled = false;
+    isAnimationExporting = false;
+  }
+}
+
+function setupAnimationExport() {
+  if (!canRecordWebM()) {
+    document.querySelector('#animationFormat option[value="webm"]').disabled = true;
+  }
+
+  document.getElementById('exportAnimation').addEventListener('click', exportAnimation);
+}
+
+// =============================================================================
+// STATE SNAPSHOTS & URL SHARING
+// =============================================================================
+
+const URL_STATE_VERSION = 1;
+const STATE_SAVE_DELAY = 300;
+
+const STATE_FLAGS = {
+  showBenchmark: 1,
+  showAverage: 2,
+  showLabels: 4,
+  showValues: 8
+};
+
+/**
+ * Everything needed to reproduce the current chart
+ */
+function getAppState() {
+  return {
+    labels: CONFIG.categoryLabels.slice(),
+    scale: { ...CONFIG.scale },
+    fillPrecision,
+    scores: getValues('scoreInputs'),
+    benchmarks: getValues('benchmarkInputs'),
+    averages: getValues('averageInputs'),
+    theme: typeof theme === 'string' ? theme : { ...theme },
+    language,
+    showBenchmark,
+    showAverage,
+    showLabels,
+    showValues,
+    valueAngleOffset,
+    valueFontSize,
+    valueDistancePercent
+  };
+}
+
+/**
+ * Restore a snapshot from getAppState into the settings, inputs and controls.
+ * The caller decides how to redraw.
+ */
+function applyAppState(state) {
+  CONFIG.categoryLabels = state.labels.slice();
+  CONFIG.numCategories = CONFIG.categoryLabels.length;
+  CONFIG.scale = { ...state.scale };
+
+  // Snapshots from before themes existed use the default colors; those from
+  // before languages existed keep the current language, and those from before
+  // fill options existed fill whole steps
+  theme = state.theme || 'default';
+  fillPrecision = state.fillPrecision || 'floor';
+  if (state.language) useLanguage(state.language);
+  showBenchmark = state.showBenchmark;
+  showAverage = state.showAverage;
+  showLabels = state.showLabels;
+  showValues = state.showValues;
+  valueAngleOffset = state.valueAngleOffset;
+  valueFontSize = state.valueFontSize;
+  valueDistancePercent = state.valueDistancePercent;
+
+  document.getElementById('toggleValues').checked = showValues;
+  document.getElementById('valueAngleOffset').value = valueAngleOffset;
+  document.getElementById('valueFontSize').value = valueFontSize;
+  document.getElementById('valueDistance').value = valueDistancePercent;
+
+  createInputs({
+    scoreInputs: state.scores.map(String),
+    benchmarkInputs: state.benchmarks.map(String),
+    averageInputs: state.averages.map(String)
+  });
+
+  if (document.getElementById('scalePreset').options.length) {
+    syncScaleControls();
+  }
+  if (document.getElementById('themeSelect').options.length) {
+    applyThemeToPage();
+    renderThemeOptions();
+    renderThemeEditor();
+  }
+  if (document.getElementById('languageSelect').options.length) {
+    translatePage();
+  }
+}
+
+function isValidAppState(state) {
+  const count = state && Array.isArray(state.labels) ? state.labels.length : 0;
+  const isSeries = values => Array.isArray(values) && values.length === count && values.every(Number.isFinite);
+
+  return count >= CONFIG.minCategories &&
+    state.labels.every(label => typeof label === 'string') &&
+    isSeries(state.scores) &&
+    isSeries(state.benchmarks) &&
+    isSeries(state.averages) &&
+    isValidScale(state.scale) &&
+    (state.fillPrecision === undefined || Object.keys(FILL_PRECISIONS).includes(state.fillPrecision)) &&
+    (state.theme === undefined || isValidTheme(state.theme)) &&
+    (state.language === undefined || isLanguage(state.language)) &&
+    [state.valueAngleOffset, state.valueFontSize, state.valueDistancePercent].every(Number.isFinite);
+}
+
+/**
+ * Debounced hook for every user-visible change
+ */
+function onStateChanged() {
+  recordHistory();
+
+  clearTimeout(stateChangeTimer);
+  stateChangeTimer = setTimeout(() => {
+    saveStateToURL();
+    saveWorkingCopy();
+  }, STATE_SAVE_DELAY);
+}
+
+/**
+ * Encode a state as a versioned, URL-safe string ("v1:<base64url JSON>")
+ * using short keys and a bit field for the toggles
+ */
+function encodeAppState(state) {
+  const flags = Object.entries(STATE_FLAGS).reduce((bits, [key, bit]) => (state[key] ? bits | bit : bits), 0);
+  const { min, max, tiers, stepsPerTier, suffix } = state.scale;
+
+  const compact = {
+    l: state.labels,
+    s: state.scores,
+    b: state.benchmarks,
+    a: state.averages,
+    c: [min, max, tiers, stepsPerTier, suffix],
+    p: state.fillPrecision,
+    t: state.theme,
+    i: state.language,
+    f: flags,
+    v: [state.valueAngleOffset, state.valueFontSize, state.valueDistancePercent]
+  };
+
+  return `v${URL_STATE_VERSION}:${toBase64URL(JSON.stringify(compact))}`;
+}
+
+/**
+ * @returns {Object|null} The decoded state, or null when the string is not a valid state
+ */
+function decodeAppState(encoded) {
+  // Links in a format this page does not know are ignored, like broken ones
+  const match = /^v(\d+):([A-Za-z0-9_-]+)$/.exec(encoded);
+  if (!match || Number(match[1]) !== URL_STATE_VERSION) return null;
+
+  try {
+    const compact = JSON.parse(fromBase64URL(match[2]));
+    const [min, max, tiers, stepsPerTier, suffix] = compact.c;
+    const [valueAngle, valueFont, valueDistance] = compact.v;
+
+    const state = {
+      labels: compact.l,
+      scale: { min, max, tiers, stepsPerTier, suffix: suffix || '' },
+      fillPrecision: compact.p,
+      scores: compact.s,
+      benchmarks: compact.b,
+      averages: compact.a,
+      theme: compact.t,
+      language: compact.i,
+      valueAngleOffset: valueAngle,
+      valueFontSize: valueFont,
+      valueDistancePercent: valueDistance
+    };
+    Object.entries(STATE_FLAGS).forEach(([key, bit]) => {
+      state[key] = (compact.f & bit) !== 0;
+    });
+
+    return isValidAppState(state) ? state : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function toBase64URL(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64URL(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+function saveStateToURL() {
+  const hash = `#${encodeAppState(getAppState())}`;
+  if (location.hash !== hash) {
+    history.replaceState(null, '', hash);
+  }
+}
+
+function loadStateFromURL() {
+  return location.hash.length > 1 ? decodeAppState(location.hash.slice(1)) : null;
+}
+
+function setupURLState() {
+  // A pasted link in an open tab tweens to the linked chart
+  window.addEventListener('hashchange', () => {
+    const state = loadStateFromURL();
+    if (!state) return;
+
+    // The survey's distributions only belong to the data they came with
+    const current = getAppState();
+    if (['labels', 'scores', 'benchmarks', 'averages'].some(key => JSON.stringify(state[key]) !== JSON.stringify(current[key]))) {
+      distributions = [];
+    }
+    applyAppState(state);
+    transitionChart();
+  });
+}
+
+// =============================================================================
+// UNDO / REDO
+// =============================================================================
+
+// Input types without a text caret, so without an undo of their own
+const NON_TEXT_INPUTS = ['button', 'checkbox', 'color', 'file', 'radio', 'range', 'reset', 'submit'];
+
+const undoHistory = {
+  past: [],
+  future: [],
+  current: null,  // Snapshot of the chart on screen; null until setupHistory
+  field: null     // Element whose next edit extends the current step
+};
+
+/**
+ * The part of getAppState that undo restores, plus the survey's
+ * distributions. The language is a preference of the reader rather than part
+ * of the chart, so undo leaves it alone.
+ */
+function getHistoryState() {
+  const state = getAppState();
+  delete state.language;
+  state.distributions = distributions.slice();
+  return state;
+}
+
+function isSameHistoryState(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Add the current state as an undo step, if it changed. Edits in the field
+ * that made the previous step (typing in one input, dragging a color picker
+ * or a slice) replace that step instead, until the field is left.
+ */
+function recordHistory() {
+  if (!undoHistory.current) return;
+
+  const state = getHistoryState();
+  if (isSameHistoryState(state, undoHistory.current)) return;
+
+  const field = document.activeElement !== document.body ? document.activeElement : null;
+  if (!field || field !== undoHistory.field) {
+    undoHistory.past.push(undoHistory.current);
+    if (undoHistory.past.length > CONFIG.historyLimit) undoHistory.past.shift();
+  }
+
+  undoHistory.current = state;
+  undoHistory.future = [];
+  undoHistory.field = field;
+  updateHistoryButtons();
+}
+
+/**
+ * Close the current step: the next edit starts a new one
+ */
+function endHistoryStep() {
+  undoHistory.field = null;
+}
+
+function undo() {
+  if (!undoHistory.past.length) return;
+
+  undoHistory.future.push(undoHistory.current);
+  restoreHistoryState(undoHistory.past.pop());
+}
+
+function redo() {
+  if (!undoHistory.future.length) return;
+
+  undoHistory.past.push(undoHistory.current);
+  restoreHistoryState(undoHistory.future.pop());
+}
+
+function restoreHistoryState(state) {
+  undoHistory.current = state;
+  endHistoryStep();
+
+  distributions = state.distributions.slice();
+  applyAppState({ ...state, language });
+  updateChart(false);  // Matches the current step, so records nothing
+  updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+  document.getElementById('undo').disabled = !undoHistory.past.length;
+  document.getElementById('redo').disabled = !undoHistory.future.length;
+}
+
+function isTextField(element) {
+  return element.isContentEditable ||
+    element.tagName === 'TEXTAREA' ||
+    (element.tagName === 'INPUT' && !NON_TEXT_INPUTS.includes(element.type));
+}
+
+/**
+ * Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes (Cmd on macOS). While typing
+ * in a text field the browser's own undo for that field applies.
+ */
+function onHistoryKeyDown(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey || isTextField(event.target)) return;
+
+  const key = event.key.toLowerCase();
+  if (key === 'z' && !event.shiftKey) {
+    event.preventDefault();
+    undo();
+  } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+    event.preventDefault();
+    redo();
+  }
+}
+
+/**
+ * Start the history at the chart as first shown
+ */
+function setupHistory() {
+  undoHistory.current = getHistoryState();
+  updateHistoryButtons();
+
+  document.getElementById('undo').addEventListener('click', undo);
+  document.getElementById('redo').addEventListener('click', redo);
+  document.addEventListener('keydown', onHistoryKeyDown);
+
+  // Committing or leaving a field, a click and the end of a drag each close
+  // the step in progress
+  ['change', 'focusout', 'click', 'pointerup'].forEach(type => {
+    document.addEventListener(type, endHistoryStep);
+  });
+}
+
+// =============================================================================
+// PROJECTS (LOCAL STORAGE)
+// =============================================================================
+
+const STORAGE_KEYS = {
+  projects: 'cirkelgen.projects',
+  workingCopy: 'cirkelgen.workingCopy',
+  themes: 'cirkelgen.themes'
+};
+
+const PROJECT_LIBRARY_VERSION = 1;
+
+function readStorage(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    return null;  // Storage disabled, or holding something other than JSON
+  }
+}
+
+/**
+ * @returns {boolean} Whether the value was stored (storage may be full or disabled)
+ */
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function saveWorkingCopy() {
+  writeStorage(STORAGE_KEYS.workingCopy, { savedAt: Date.now(), state: getAppState() });
+}
+
+function loadWorkingCopy() {
+  const workingCopy = readStorage(STORAGE_KEYS.workingCopy);
+  return workingCopy && isValidAppState(workingCopy.state) ? workingCopy.state : null;
+}
+
+/**
+ * @returns {{id: string, name: string, updatedAt: number, state: Object}[]}
+ */
+function loadProjects() {
+  const library = readStorage(STORAGE_KEYS.projects);
+  if (!library || !Array.isArray(library.projects)) return [];
+  return library.projects.filter(project => project && project.id && isValidAppState(project.state));
+}
+
+function saveProjects(projects) {
+  const saved = writeStorage(STORAGE_KEYS.projects, { version: PROJECT_LIBRARY_VERSION, projects });
+  if (!saved) {
+    showReport('projectReport', [t('projectStorageFull')], true);
+  }
+  return saved;
+}
+
+function createStorageId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Append " (2)", " (3)", ... until the name is not taken
+ */
+function getUniqueProjectName(name, projects) {
+  const names = new Set(projects.map(project => project.name));
+  if (!names.has(name)) return name;
+
+  let copy = 2;
+  while (names.has(`${name} (${copy})`)) copy++;
+  return `${name} (${copy})`;
+}
+
+/**
+ * Save the current chart under a name, replacing a project with the same name
+ * @returns {string|null} Id of the saved project
+ */
+function saveProject(name) {
+  const projects = loadProjects();
+  const existing = projects.find(project => project.name === name);
+
+  if (existing && !confirm(t('projectReplace', { name }))) return null;
+
+  const project = existing || { id: createStorageId(), name };
+  project.updatedAt = Date.now();
+  project.state = getAppState();
+  if (!existing) projects.push(project);
+
+  return saveProjects(projects) ? project.id : null;
+}
+
+function openProject(id) {
+  const project = loadProjects().find(candidate => candidate.id === id);
+  if (!project) return;
+
+  distributions = [];
+  applyAppState(project.state);
+  transitionChart();
+  document.getElementById('projectName').value = project.name;
+}
+
+function renameProject(id, name) {
+  const projects = loadProjects();
+  const project = projects.find(candidate => candidate.id === id);
+  if (!project || project.name === name) return;
+
+  project.name = getUniqueProjectName(name, projects);
+  project.updatedAt = Date.now();
+  saveProjects(projects);
+}
+
+function duplicateProject(id) {
+  const projects = loadProjects();
+  const project = projects.find(candidate => candidate.id === id);
+  if (!project) return null;
+
+  const copy = {
+    id: createStorageId(),
+    name: getUniqueProjectName(t('projectCopy', { name: project.name }), projects),
+    updatedAt: Date.now(),
+    state: JSON.parse(JSON.stringify(project.state))
+  };
+  projects.push(copy);
+
+  return saveProjects(projects) ? copy.id : null;
+}
+
+function deleteProject(id) {
+  saveProjects(loadProjects().filter(project => project.id !== id));
+}
+
+function exportProjectLibrary() {
+  const library = { app: 'cirkelgen', version: PROJECT_LIBRARY_VERSION, projects: loadProjects() };
+  downloadBlob(new Blob([JSON.stringify(library, null, 2)], { type: 'application/json' }), 'cirkelgen-projects.json');
+}
+
+/**
+ * Merge projects from an exported library file; imported projects get new ids
+ * and, on name clashes, a numbered name
+ */
+function importProjectLibrary(text) {
+  let library;
+  try {
+    library = JSON.parse(text);
+  } catch (error) {
+    showReport('projectReport', [t('invalidJSON', { error: error.message })], true);
+    return;
+  }
+
+  if (!library || !Array.isArray(library.projects)) {
+    showReport('projectReport', [t('notALibrary')], true);
+    return;
+  }
+
+  const projects = loadProjects();
+  const errors = [];
+  let imported = 0;
+
+  library.projects.forEach((project, index) => {
+    const name = project && typeof project.name === 'string' && project.name.trim() ? project.name.trim() : t('defaultProjectName', { number: index + 1 });
+    if (!project || !isValidAppState(project.state)) {
+      errors.push(t('projectInvalid', { name }));
+      return;
+    }
+
+    projects.push({
+      id: createStorageId(),
+      name: getUniqueProjectName(name, projects),
+      updatedAt: Number.isFinite(project.updatedAt) ? project.updatedAt : Date.now(),
+      state: project.state
+    });
+    imported++;
+  });
+
+  if (imported && !saveProjects(projects)) return;
+
+  renderProjectList();
+  const summary = t('projectsImported', { count: imported, total: library.projects.length });
+  if (errors.length) {
+    showReport('projectReport', errors, true, t('projectsSkipped', { summary }));
+  } else {
+    showReport('projectReport', [summary], false);
+  }
+}
+
+function renderProjectList(selectedId = null) {
+  const list = document.getElementById('projectList');
+  const previous = selectedId || list.value;
+  list.innerHTML = '';
+
+  loadProjects()
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(project => {
+      const option = document.createElement('option');
+      option.value = project.id;
+      option.textContent = `${project.name} \u2014 ${new Date(project.updatedAt).toLocaleString(LOCALES[language].locale)}`;
+      list.appendChild(option);
+    });
+
+  if (previous) list.value = previous;
+}
+
+function setupProjects() {
+  const list = document.getElementById('projectList');
+  const nameInput = document.getElementById('projectName');
+  const fileInput = document.getElementById('projectLibraryFile');
+
+  const getName = () => nameInput.value.trim();
+
+  list.addEventListener('change', () => {
+    const project = loadProjects().find(candidate => candidate.id === list.value);
+    if (project) nameInput.value = project.name;
+  });
+  list.addEventListener('dblclick', () => openProject(list.value));
+
+  document.getElementById('saveProject').addEventListener('click', () => {
+    if (!getName()) {
+      showReport('projectReport', [t('projectNameMissing')], true);
+      return;
+    }
+    const id = saveProject(getName());
+    if (id) renderProjectList(id);
+  });
+
+  document.getElementById('openProject').addEventListener('click', () => openProject(list.value));
+
+  document.getElementById('renameProject').addEventListener('click', () => {
+    if (!list.value || !getName()) return;
+    renameProject(list.value, getName());
+    renderProjectList();
+  });
+
+  document.getElementById('duplicateProject').addEventListener('click', () => {
+    if (!list.value) return;
+    const id = duplicateProject(list.value);
+    if (id) renderProjectList(id);
+  });
+
+  document.getElementById('deleteProject').addEventListener('click', () => {
+    const option = list.selectedOptions[0];
+    if (!option || !confirm(t('projectDelete', { name: option.textContent }))) return;
+    deleteProject(list.value);
+    renderProjectList();
+  });
+
+  document.getElementById('exportProjects').addEventListener('click', exportProjectLibrary);
+  document.getElementById('importProjects').addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    if (!file) return;
+
+    importProjectLibrary(await file.text());
+    fileInput.value = '';
+  });
+
+  renderProjectList();
+}
+
+// =============================================================================
+// EXPORT (PNG)
+// =============================================================================
+
+function exportAsPNG() {
+  const fileName = document.getElementById('fileNameInput').value || 'radial-chart';
+
+  const png = renderPNG(chart, getExportSize());
+  downloadBlob(new Blob([png], { type: 'image/png' }), `${fileName}.png`);
+}
+
+/**
+ * A chart as PNG at the picked export size, whatever its size on screen
+ * @param {Object} target - Chart to render
+ * @param {{pixels: number, dpi: number|null}} exportSize - From getExportSize()
+ * @returns {Uint8Array}
+ */
+function renderPNG(target, { pixels, dpi }) {
+  const dataURL = target.toDataURL({ pixelRatio: pixels / target.getOptions().size });
+  const png = Uint8Array.from(atob(dataURL.split(',')[1]), char => char.charCodeAt(0));
+  return dpi ? setPNGResolution(png, dpi) : png;
+}
+
+function downloadURL(url, fileName) {
+  const link = document.createElement('a');
+  link.download = fileName;
+  link.href = url;
+  link.click();
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  downloadURL(url, fileName);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// =============================================================================
+// EXPORT (SVG)
+// =============================================================================
+
+function exportAsSVG() {
+  const fileName = document.getElementById('fileNameInput').value || 'radial-chart';
+
+  downloadBlob(new Blob([chart.toSVG()], { type: 'image/svg+xml' }), `${fileName}.svg`);
+}
+
+// =============================================================================
+// EXPORT SIZE
+// =============================================================================
+
+const CM_PER_INCH = 2.54;
+
+/**
+ * PNG export size from the size picker: exact pixels, or a print size at a
+ * resolution (which is also written into the file)
+ * @returns {{pixels: number, dpi: number|null}} Pixels per side, and the DPI for print sizes
+ */
+function getExportSize() {
+  const readNumber = (id) => {
+    const input = document.getElementById(id);
+    const value = parseFloat(input.value);
+    return value > 0 ? value : parseFloat(input.defaultValue);
+  };
+  const clampPixels = (pixels) => Math.max(1, Math.min(CONFIG.exportMaxPixels, Math.round(pixels)));
+
+  if (document.getElementById('exportSizeMode').value === 'print') {
+    const dpi = Math.round(readNumber('exportDPI'));
+    const size = readNumber('exportPrintSize');
+    const inches = document.getElementById('exportPrintUnit').value === 'cm' ? size / CM_PER_INCH : size;
+    return { pixels: clampPixels(inches * dpi), dpi };
+  }
+
+  return { pixels: clampPixels(readNumber('exportPixels')), dpi: null };
+}
+
+function updateExportSizeControls() {
+  const { pixels, dpi } = getExportSize();
+
+  document.getElementById('exportPixelFields').hidden = dpi !== null;
+  document.getElementById('exportPrintFields').hidden = dpi === null;
+  document.getElementById('exportSizeInfo').textContent = dpi === null ? '' : t('exportSizeInfo', { pixels });
+}
+
+function setupExportSize() {
+  ['exportSizeMode', 'exportPixels', 'exportPrintSize', 'exportPrintUnit', 'exportDPI'].forEach(id => {
+    document.getElementById(id).addEventListener('input', updateExportSizeControls);
+  });
+
+  updateExportSizeControls();
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let crc = n;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  bytes.forEach(byte => {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Store the print resolution in a PNG's pHYs chunk (pixels per metre), so
+ * layout and print software places it at the chosen physical size
+ * @param {Uint8Array} png - PNG file
+ * @param {number} dpi - Dots per inch
+ * @returns {Uint8Array} Copy with exactly one pHYs chunk, right after the header
+ */
+function setPNGResolution(png, dpi) {
+  const pixelsPerMetre = Math.round(dpi * 100 / CM_PER_INCH);
+  const phys = new Uint8Array(21);
+  const physView = new DataView(phys.buffer);
+  physView.setUint32(0, 9);
+  phys.set([0x70, 0x48, 0x59, 0x73], 4);  // "pHYs"
+  physView.setUint32(8, pixelsPerMetre);
+  physView.setUint32(12, pixelsPerMetre);
+  phys[16] = 1;  // Unit: metre
+  physView.setUint32(17, crc32(phys.subarray(4, 17)));
+
+  // Chunks: 4-byte length, 4-byte type, data, 4-byte CRC
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const parts = [png.subarray(0, 8)];
+  for (let offset = 8; offset < png.length;) {
+    const end = offset + 12 + view.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+
+    if (type !== 'pHYs') parts.push(png.subarray(offset, end));
+    if (type === 'IHDR') parts.push(phys);
+    offset = end;
+  }
+
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  parts.reduce((offset, part) => {
+    output.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return output;
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+window.addEventListener('DOMContentLoaded', () => {
+  chart = createRadialChart('chart-container', {
+    responsive: true,
+    editable: true,
+    onValueChange: onChartValueChange,
+    onTimelineChange: updateTimelineControls
+  });
+  useLanguage(detectLanguage());
+
+  // Restore a shared chart from the URL, or the autosaved working copy,
+  // before the intro animation
+  const initialState = loadStateFromURL() || loadWorkingCopy();
+  if (initialState) {
+    applyAppState(initialState);
+  } else {
+    CONFIG.categoryLabels = LOCALES[language].categories.slice();
+    CONFIG.numCategories = CONFIG.categoryLabels.length;
+    createInputs();
+  }
+
+  // Initial draw with animation
+  updateChart(true);
+
+  setupHistory();
+  setupValueControls();
+  setupTimeline();
+  setupScaleControls();
+  setupThemes();
+  setupImport();
+  setupSurvey();
+  setupBatchExport();
+  setupExportSize();
+  setupAnimationExport();
+  setupURLState();
+  setupProjects();
+  setupLanguages();
+
+  // Toggle buttons
+  document.getElementById('toggleBenchmark').addEventListener('click', () => {
+    toggleVisibility('toggleBenchmark');
+  });
+
+  document.getElementById('toggleAverage').addEventListener('click', () => {
+    toggleVisibility('toggleAverage');
   });
 
   document.getElementById('toggleValues').addEventListener('click', () => {
     toggleVisibility('toggleValues');
   });
 
+  document.getElementById('toggleInfoPanel').addEventListener('change', toggleInfoPanel);
+
   document.getElementById('toggleLabels').addEventListener('click', () => {
     toggleVisibility('toggleLabels');
   });
@@ -1064,17 +2079,22 @@ window.addEventListener('DOMContentLoaded', () => {
   });
 
   document.getElementById('animateGrid').addEventListener('click', () => {
-    animateGrid();
+    chart.animateGrid();
   });
 
   document.getElementById('animateData').addEventListener('click', () => {
-    animateData();
+    chart.animateData();
   });
 
   document.getElementById('randomValues').addEventListener('click', () => {
     generateRandomValues();
   });
 
-  // Export button
+  document.getElementById('addCategory').addEventListener('click', () => {
+    addCategory();
+  });
+
+  // Export buttons
   document.getElementById('exportPNG').addEventListener('click', exportAsPNG);
+  document.getElementById('exportSVG').addEventListener('click', exportAsSVG);
 });
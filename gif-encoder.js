@@ -0,0 +1,276 @@
+/**
+ * Cirkelgen - Animated GIF encoder
+ *
+ * Minimal GIF89a writer for exporting chart animations: every frame gets its
+ * own 256-color palette (picked by popularity, which suits the chart's flat
+ * colors plus their anti-aliased edges) and is LZW-compressed.
+ *
+ *   const encoder = GifEncoder.createGIFEncoder(400, 400);
+ *   encoder.addFrame(imageData.data, 40);
+ *   const bytes = encoder.finish();
+ *
+ * Loads as a browser global (window.GifEncoder) or as a CommonJS module.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GifEncoder = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+const MAX_COLORS = 256;
+const MAX_CODE_SIZE = 12;
+
+/**
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {Object} [options]
+ * @param {number} [options.loop] - Times to repeat; 0 loops forever
+ * @returns {{addFrame: function(Uint8ClampedArray, number), finish: function(): Uint8Array}}
+ */
+function createGIFEncoder(width, height, { loop = 0 } = {}) {
+  const output = createByteWriter();
+
+  output.writeString('GIF89a');
+  output.writeShort(width);
+  output.writeShort(height);
+  output.writeBytes([0x00, 0x00, 0x00]);  // No global color table
+
+  // NETSCAPE2.0 application extension: repeat count
+  output.writeBytes([0x21, 0xff, 0x0b]);
+  output.writeString('NETSCAPE2.0');
+  output.writeBytes([0x03, 0x01]);
+  output.writeShort(loop);
+  output.writeByte(0x00);
+
+  /**
+   * @param {Uint8ClampedArray} rgba - Opaque RGBA pixels (e.g. ImageData.data)
+   * @param {number} delay - Display time in ms (GIF stores hundredths)
+   */
+  function addFrame(rgba, delay) {
+    const { palette, indices } = quantize(rgba);
+    const colorBits = Math.max(1, Math.ceil(Math.log2(palette.length / 3)));
+
+    // Graphic control extension: delay, no transparency
+    output.writeBytes([0x21, 0xf9, 0x04, 0x00]);
+    output.writeShort(Math.round(delay / 10));
+    output.writeBytes([0x00, 0x00]);
+
+    // Image descriptor with a local color table
+    output.writeByte(0x2c);
+    output.writeShort(0);
+    output.writeShort(0);
+    output.writeShort(width);
+    output.writeShort(height);
+    output.writeByte(0x80 | (colorBits - 1));
+
+    const table = new Uint8Array(3 * (1 << colorBits));
+    table.set(palette);
+    output.writeBytes(table);
+
+    writeLZW(output, indices, Math.max(2, colorBits));
+  }
+
+  function finish() {
+    output.writeByte(0x3b);
+    return output.toUint8Array();
+  }
+
+  return { addFrame, finish };
+}
+
+/**
+ * Reduce a frame to at most 256 colors: colors are bucketed at 5 bits per
+ * channel, the most used buckets become the palette (at their average color)
+ * and every other bucket maps to its nearest palette entry
+ * @returns {{palette: number[], indices: Uint8Array}}
+ */
+function quantize(rgba) {
+  const pixelCount = rgba.length / 4;
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  const buckets = new Uint16Array(pixelCount);
+
+  for (let i = 0; i < pixelCount; i++) {
+    const r = rgba[i * 4];
+    const g = rgba[i * 4 + 1];
+    const b = rgba[i * 4 + 2];
+    const bucket = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+    buckets[i] = bucket;
+    counts[bucket]++;
+    sums[bucket * 3] += r;
+    sums[bucket * 3 + 1] += g;
+    sums[bucket * 3 + 2] += b;
+  }
+
+  const used = [];
+  counts.forEach((count, bucket) => {
+    if (count) used.push(bucket);
+  });
+  used.sort((a, b) => counts[b] - counts[a]);
+
+  const palette = [];
+  const bucketIndex = new Int16Array(32768).fill(-1);
+  used.slice(0, MAX_COLORS).forEach((bucket, index) => {
+    const count = counts[bucket];
+    palette.push(
+      Math.round(sums[bucket * 3] / count),
+      Math.round(sums[bucket * 3 + 1] / count),
+      Math.round(sums[bucket * 3 + 2] / count)
+    );
+    bucketIndex[bucket] = index;
+  });
+
+  used.slice(MAX_COLORS).forEach(bucket => {
+    bucketIndex[bucket] = findNearestColor(palette, sums[bucket * 3] / counts[bucket],
+      sums[bucket * 3 + 1] / counts[bucket], sums[bucket * 3 + 2] / counts[bucket]);
+  });
+
+  const indices = new Uint8Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    indices[i] = bucketIndex[buckets[i]];
+  }
+
+  // A GIF color table needs at least two entries
+  if (palette.length < 6) palette.push(0, 0, 0);
+
+  return { palette, indices };
+}
+
+function findNearestColor(palette, r, g, b) {
+  let nearest = 0;
+  let nearestDistance = Infinity;
+
+  for (let index = 0; index < palette.length / 3; index++) {
+    const dr = palette[index * 3] - r;
+    const dg = palette[index * 3 + 1] - g;
+    const db = palette[index * 3 + 2] - b;
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < nearestDistance) {
+      nearest = index;
+      nearestDistance = distance;
+    }
+  }
+
+  return nearest;
+}
+
+/**
+ * Variable-length LZW as GIF uses it, packed into 255-byte sub-blocks
+ */
+function writeLZW(output, indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+
+  const block = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const flushBlock = () => {
+    output.writeByte(block.length);
+    output.writeBytes(block);
+    block.length = 0;
+  };
+
+  const writeCode = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block.push(bitBuffer & 0xff);
+      bitBuffer >>= 8;
+      bitCount -= 8;
+      if (block.length === 255) flushBlock();
+    }
+  };
+
+  output.writeByte(minCodeSize);
+  writeCode(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key = (prefix << 8) | indices[i];
+    const existing = dictionary.get(key);
+
+    if (existing !== undefined) {
+      prefix = existing;
+      continue;
+    }
+
+    writeCode(prefix);
+
+    if (nextCode < (1 << MAX_CODE_SIZE)) {
+      dictionary.set(key, nextCode);
+      if (nextCode === (1 << codeSize)) codeSize++;
+      nextCode++;
+    } else {
+      // Table full: start over
+      writeCode(clearCode);
+      dictionary = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+
+    prefix = indices[i];
+  }
+
+  writeCode(prefix);
+  writeCode(endCode);
+
+  if (bitCount > 0) block.push(bitBuffer & 0xff);
+  if (block.length) flushBlock();
+  output.writeByte(0x00);
+}
+
+/**
+ * Growable byte buffer, so large animations avoid arrays of numbers
+ */
+function createByteWriter() {
+  const chunks = [];
+  let chunk = new Uint8Array(1 << 16);
+  let length = 0;
+
+  const writeByte = (byte) => {
+    if (length === chunk.length) {
+      chunks.push(chunk);
+      chunk = new Uint8Array(chunk.length);
+      length = 0;
+    }
+    chunk[length++] = byte;
+  };
+
+  return {
+    writeByte,
+    writeBytes: (bytes) => bytes.forEach(writeByte),
+    writeShort: (value) => {
+      writeByte(value & 0xff);
+      writeByte((value >> 8) & 0xff);
+    },
+    writeString: (text) => {
+      for (let i = 0; i < text.length; i++) writeByte(text.charCodeAt(i));
+    },
+    toUint8Array: () => {
+      const total = chunks.reduce((sum, full) => sum + full.length, 0) + length;
+      const bytes = new Uint8Array(total);
+      let offset = 0;
+      chunks.forEach(full => {
+        bytes.set(full, offset);
+        offset += full.length;
+      });
+      bytes.set(chunk.subarray(0, length), offset);
+      return bytes;
+    }
+  };
+}
+
+return {
+  createGIFEncoder
+};
+});
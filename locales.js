@@ -0,0 +1,818 @@
+/**
+ * Cirkelgen - Locale packs
+ *
+ * Every user-facing string of the page, the chart tooltips and the import and
+ * survey validation messages, plus the default category names of the
+ * assessment. Strings use {placeholders}. English validation messages live in
+ * ChartData.DEFAULT_MESSAGES and Survey.DEFAULT_MESSAGES, so the English pack
+ * leaves `data` and `survey` empty.
+ */
+
+const LOCALES = {
+  nl: {
+    name: 'Nederlands',
+    locale: 'nl-NL',
+    categories: [
+      'klimaat',
+      'leiderschap',
+      'strategie en\nmanagement',
+      'HR management',
+      'communicatie',
+      'kennis en\nvaardigheden'
+    ],
+    strings: {
+      categories: 'Categorieën',
+      addCategory: '+ Categorie',
+      removeCategory: 'Categorie verwijderen',
+      defaultCategory: 'Categorie {number}',
+      scores: 'Scores',
+      benchmarks: 'Benchmarks',
+      averages: 'Gemiddelden',
+      importData: 'CSV / JSON importeren',
+      pasteHint: 'of plak cellen uit een spreadsheet',
+      scale: 'Schaal:',
+      scaleMin: 'Min:',
+      scaleMax: 'Max:',
+      scaleTiers: 'Ringen:',
+      scaleSteps: 'Stappen/ring:',
+      scaleUnit: 'Eenheid:',
+      scaleCustom: 'Aangepast',
+      fillPrecision: 'Vulling:',
+      fillFloor: 'Hele stappen, naar beneden afgerond',
+      fillRound: 'Hele stappen, afgerond',
+      fillContinuous: 'Doorlopend',
+      theme: 'Thema:',
+      language: 'Taal:',
+      toggleBenchmark: 'Benchmark',
+      toggleAverage: 'Gemiddelde',
+      toggleLabels: 'Labels',
+      undo: 'Ongedaan maken',
+      redo: 'Opnieuw',
+      undoShortcut: 'Ongedaan maken (Ctrl+Z)',
+      redoShortcut: 'Opnieuw (Ctrl+Shift+Z)',
+      randomValues: 'Willekeurige waarden',
+      animateGrid: 'Raster animeren',
+      animateData: 'Data animeren',
+      replayAnimation: 'Alles afspelen',
+      play: 'Afspelen',
+      pause: 'Pauzeren',
+      timeline: 'Tijdlijn',
+      playbackSpeed: 'Snelheid:',
+      showValues: 'Waarden tonen',
+      showInfoPanel: 'Details naast de grafiek',
+      editHint: 'Sleep een taartpunt naar buiten of naar binnen om de waarde te wijzigen. Met het toetsenbord: zet de focus op de grafiek, kies een waarde met de pijltjestoetsen, druk op Enter en wijzig hem met omhoog en omlaag.',
+      valueAngle: 'Hoek:',
+      valueFont: 'Lettergrootte:',
+      valueDistance: 'Afstand %:',
+      fileName: 'Bestandsnaam',
+      exportPNG: 'PNG exporteren',
+      exportSVG: 'SVG exporteren',
+      exportSize: 'PNG-formaat:',
+      exportSizePixels: 'Pixels',
+      exportSizePrint: 'Drukformaat',
+      exportSizeInfo: '{pixels} × {pixels} px',
+      customThemes: 'Eigen thema\'s (opgeslagen in deze browser)',
+      themeName: 'Themanaam',
+      saveTheme: 'Thema opslaan',
+      deleteTheme: 'Thema verwijderen',
+      themeDefault: 'Cirkelgen',
+      themeColorblind: 'Kleurenblindvriendelijk',
+      themeGreyscale: 'Grijstinten (print)',
+      themeCustom: 'Eigen thema',
+      themeUnsaved: '{name} (niet opgeslagen)',
+      themeRings: 'Ringen',
+      themeScores: 'Scores',
+      themeBenchmark: 'Benchmark',
+      themeAverage: 'Gemiddelde',
+      themeAverageOutline: 'Rand gemiddelde',
+      themeDistribution: 'Spreiding',
+      themeLabels: 'Labels',
+      themeValues: 'Waarden',
+      themeValueOutline: 'Rand waarden',
+      themeBackground: 'Achtergrond',
+      themeTooltip: 'Tooltip',
+      themeTooltipText: 'Tooltiptekst',
+      themeStorageFull: 'Het thema kon niet worden opgeslagen: de browseropslag is vol of uitgeschakeld',
+      themeReplace: 'Het opgeslagen thema "{name}" vervangen?',
+      themeSaved: 'Thema "{name}" opgeslagen',
+      themeDelete: 'Het opgeslagen thema "{name}" verwijderen?',
+      themeDeleted: 'Thema "{name}" verwijderd',
+      themeNameMissing: 'Geef het thema eerst een naam',
+      themeNotSelected: 'Kies een opgeslagen eigen thema om te verwijderen',
+      projects: 'Projecten (opgeslagen in deze browser)',
+      projectName: 'Projectnaam',
+      saveProject: 'Opslaan',
+      openProject: 'Openen',
+      renameProject: 'Hernoemen',
+      duplicateProject: 'Dupliceren',
+      deleteProject: 'Verwijderen',
+      exportProjects: 'Bibliotheek exporteren',
+      importProjects: 'Bibliotheek importeren',
+      defaultProjectName: 'Project {number}',
+      projectCopy: '{name} (kopie)',
+      projectStorageFull: 'Het project kon niet worden opgeslagen: de browseropslag is vol of uitgeschakeld',
+      projectReplace: 'Het opgeslagen project "{name}" vervangen?',
+      projectDelete: '"{name}" verwijderen?',
+      projectNameMissing: 'Vul eerst een projectnaam in',
+      projectInvalid: '"{name}": de grafiekgegevens zijn onvolledig of ongeldig',
+      projectsImported: '{count} van {total} projecten geïmporteerd',
+      projectsSkipped: '{summary}. Overgeslagen:',
+      notALibrary: 'Dit is geen Cirkelgen-projectbibliotheek',
+      invalidJSON: 'Ongeldige JSON: {error}',
+      animationExport: 'Animatie exporteren (intro)',
+      animationPNG: 'PNG-reeks (ZIP)',
+      animationSize: 'Grootte (px):',
+      animationFPS: 'Beelden/s:',
+      animationHold: 'Eindbeeld (s):',
+      exportAnimation: 'Animatie exporteren',
+      animationRendered: '{index} van {total} beelden getekend',
+      animationRecording: 'Opnemen: {index} van {total} beelden',
+      animationExported: 'Animatie van {count} beelden geëxporteerd',
+      animationFailed: 'De animatie-export is mislukt:',
+      animationNoWebM: 'Deze browser kan geen WebM-video opnemen',
+      batchExport: 'Batch-export (één grafiek per rij)',
+      loadBatchFile: 'Bestand laden',
+      batchFileNames: 'Bestandsnamen:',
+      exportBatch: 'ZIP exporteren',
+      batchRendered: '{index} van {total} getekend',
+      batchExported: '{count} grafieken geëxporteerd',
+      batchFailed: 'De export is mislukt:',
+      survey: 'Enquêteantwoorden (één rij per respondent)',
+      surveyGroupColumn: 'Groepskolom:',
+      surveyGroup: 'Score voor groep:',
+      surveyBenchmark: 'Benchmark:',
+      surveyBenchmarkGroup: 'Referentiegroep',
+      surveyBenchmarkPercentile: 'Percentiel van de groepen',
+      surveyBenchmarkKeep: 'Huidige behouden',
+      surveyReference: 'Groep:',
+      surveyPercentile: 'Percentiel:',
+      applySurvey: 'Scores berekenen',
+      surveyApplied: 'Scores van {group} van de {population} respondenten',
+      distributionBand: 'Spreiding:',
+      distributionNone: 'Geen',
+      distributionIQR: 'Middelste helft (kwartielen)',
+      distributionRange: 'Laagste tot hoogste',
+      showHistogram: 'Histogram per ring',
+      imported: '{count} categorieën geïmporteerd',
+      nothingProcessed: 'Er is niets verwerkt. Corrigeer:',
+      moreErrors: '…en nog {count}'
+    },
+    chart: {
+      ring: 'Ring {tier}',
+      score: 'Score',
+      benchmark: 'Benchmark',
+      average: 'Gemiddelde',
+      scoreDifference: 'score {difference}',
+      respondents: 'Respondenten',
+      spread: 'mediaan {median}, {low}–{high}',
+      infoHint: 'Wijs een categorie aan of tik erop om de waarden te vergelijken',
+      chart: 'Radiale grafiek',
+      category: 'Categorie',
+      keyboardHelp: 'Pijltjes links en rechts gaan naar een andere categorie, omhoog en omlaag naar een andere reeks.',
+      editHelp: 'Enter bewerkt de gekozen waarde met omhoog en omlaag; Enter of Escape stopt.',
+      editStart: 'Bewerken',
+      editEnd: 'Klaar met bewerken'
+    },
+    data: {
+      scores: 'Scores',
+      benchmarks: 'Benchmarks',
+      averages: 'Gemiddelden',
+      noData: 'Geen gegevens gevonden',
+      noBatchData: 'Geen batchgegevens gevonden',
+      invalidJSON: 'Ongeldige JSON: {error}',
+      jsonShape: 'JSON moet een object zijn of een lijst van categorieën',
+      noValues: 'Geen scores, benchmarks of gemiddelden gevonden',
+      item: 'Item {item} ({field})',
+      row: 'Rij {row}',
+      cell: 'Rij {row}, kolom {column}',
+      column: 'Kolom {column} ("{header}")',
+      seriesLength: '{series} heeft {count} waarden, verwacht: {expected}',
+      unknownSeries: '{location}: onbekende reeks "{name}"',
+      duplicateSeries: '{location}: {series} komt meer dan eens voor',
+      tooManySeries: 'Rij {row}: alleen {count} reeksen (scores, benchmarks, gemiddelden) worden ondersteund',
+      tooManyValues: 'Rij {row}: {values} waarden voor {count} categorieën',
+      missingValue: 'waarde ontbreekt',
+      notANumber: '"{cell}" is geen getal',
+      outsideScale: '{cell} valt buiten de schaal ({min}–{max}{suffix})',
+      unknownColumn: '{location}: onbekende kolom; de grafiek heeft categorie 1 tot en met {count}',
+      missingColumn: '{series}: geen kolom voor categorie {category} ("{label}")',
+      noValueColumns: 'Geen waardekolommen gevonden (verwacht kolomkoppen als "score 1" of "benchmark: klimaat")',
+      noRows: 'De tabel heeft kolomkoppen maar geen rijen',
+      missingTemplateColumn: 'Sjabloon voor bestandsnamen: er is geen kolom "{field}"'
+    },
+    survey: {
+      noResponses: 'Geen enquêteantwoorden gevonden',
+      noItems: 'Geen itemindeling gevonden (één rij per item: item, categorie, omgekeerd, gewicht)',
+      invalidJSON: 'Ongeldige JSON: {error}',
+      mappingRow: 'Itemindeling rij {row}',
+      unknownCategory: '{location}: geen categorie "{category}"',
+      badReverse: '{location}: omgekeerd moet ja of nee zijn, niet "{value}"',
+      badWeight: '{location}: het gewicht moet een positief getal zijn, niet "{value}"',
+      duplicateItem: '{location}: item "{item}" is twee keer ingedeeld',
+      missingItem: 'Item "{item}" is geen kolom van de antwoorden',
+      emptyCategory: 'Geen items voor categorie {category} ("{label}")',
+      response: 'Antwoorden rij {row}, kolom {column} ("{item}")',
+      unknownGroupColumn: 'De antwoorden hebben geen kolom "{column}"',
+      noGroupColumn: 'Groepen en percentielen hebben een groepskolom nodig',
+      unknownGroup: 'Geen respondenten in groep "{group}" (groepen: {groups})',
+      noGroups: 'De groepskolom "{column}" bevat geen groepen',
+      noAnswers: '{group}: geen antwoorden voor categorie {category} ("{label}")',
+      everyone: 'Alle respondenten',
+      badPercentile: 'Het percentiel moet tussen 0 en 100 liggen, niet "{value}"'
+    }
+  },
+
+  en: {
+    name: 'English',
+    locale: 'en-GB',
+    categories: [
+      'climate',
+      'leadership',
+      'strategy and\nmanagement',
+      'HR management',
+      'communication',
+      'knowledge and\nskills'
+    ],
+    strings: {
+      categories: 'Categories',
+      addCategory: '+ Category',
+      removeCategory: 'Remove category',
+      defaultCategory: 'Category {number}',
+      scores: 'Scores',
+      benchmarks: 'Benchmarks',
+      averages: 'Averages',
+      importData: 'Import CSV / JSON',
+      pasteHint: 'or paste cells copied from a spreadsheet',
+      scale: 'Scale:',
+      scaleMin: 'Min:',
+      scaleMax: 'Max:',
+      scaleTiers: 'Tiers:',
+      scaleSteps: 'Steps/tier:',
+      scaleUnit: 'Unit:',
+      scaleCustom: 'Custom',
+      fillPrecision: 'Fill:',
+      fillFloor: 'Whole steps, rounded down',
+      fillRound: 'Whole steps, rounded',
+      fillContinuous: 'Continuous',
+      theme: 'Theme:',
+      language: 'Language:',
+      toggleBenchmark: 'Benchmark',
+      toggleAverage: 'Average',
+      toggleLabels: 'Labels',
+      undo: 'Undo',
+      redo: 'Redo',
+      undoShortcut: 'Undo (Ctrl+Z)',
+      redoShortcut: 'Redo (Ctrl+Shift+Z)',
+      randomValues: 'Random Values',
+      animateGrid: 'Animate Grid',
+      animateData: 'Animate Data',
+      replayAnimation: 'Replay All',
+      play: 'Play',
+      pause: 'Pause',
+      timeline: 'Timeline',
+      playbackSpeed: 'Speed:',
+      showValues: 'Show Values',
+      showInfoPanel: 'Details beside the chart',
+      editHint: 'Drag a slice outward or inward to change its value. With the keyboard: focus the chart, pick a value with the arrow keys, then press Enter and step it with Up and Down.',
+      valueAngle: 'Angle:',
+      valueFont: 'Font:',
+      valueDistance: 'Distance %:',
+      fileName: 'File name',
+      exportPNG: 'Export PNG',
+      exportSVG: 'Export SVG',
+      exportSize: 'PNG size:',
+      exportSizePixels: 'Pixels',
+      exportSizePrint: 'Print size',
+      exportSizeInfo: '{pixels} × {pixels} px',
+      customThemes: 'Custom themes (saved in this browser)',
+      themeName: 'Theme name',
+      saveTheme: 'Save theme',
+      deleteTheme: 'Delete theme',
+      themeDefault: 'Cirkelgen',
+      themeColorblind: 'Colour-blind safe',
+      themeGreyscale: 'Greyscale (print)',
+      themeCustom: 'Custom',
+      themeUnsaved: '{name} (unsaved)',
+      themeRings: 'Rings',
+      themeScores: 'Scores',
+      themeBenchmark: 'Benchmark',
+      themeAverage: 'Average',
+      themeAverageOutline: 'Average outline',
+      themeDistribution: 'Spread',
+      themeLabels: 'Labels',
+      themeValues: 'Values',
+      themeValueOutline: 'Value outline',
+      themeBackground: 'Background',
+      themeTooltip: 'Tooltip',
+      themeTooltipText: 'Tooltip text',
+      themeStorageFull: 'The theme could not be saved: browser storage is full or disabled',
+      themeReplace: 'Replace the saved theme "{name}"?',
+      themeSaved: 'Saved theme "{name}"',
+      themeDelete: 'Delete the saved theme "{name}"?',
+      themeDeleted: 'Deleted theme "{name}"',
+      themeNameMissing: 'Give the theme a name first',
+      themeNotSelected: 'Select a saved custom theme to delete',
+      projects: 'Projects (saved in this browser)',
+      projectName: 'Project name',
+      saveProject: 'Save',
+      openProject: 'Open',
+      renameProject: 'Rename',
+      duplicateProject: 'Duplicate',
+      deleteProject: 'Delete',
+      exportProjects: 'Export library',
+      importProjects: 'Import library',
+      defaultProjectName: 'Project {number}',
+      projectCopy: '{name} (copy)',
+      projectStorageFull: 'The project could not be saved: browser storage is full or disabled',
+      projectReplace: 'Replace the saved project "{name}"?',
+      projectDelete: 'Delete "{name}"?',
+      projectNameMissing: 'Enter a project name first',
+      projectInvalid: '"{name}": the chart data is incomplete or invalid',
+      projectsImported: 'Imported {count} of {total} projects',
+      projectsSkipped: '{summary}. Skipped:',
+      notALibrary: 'This is not a Cirkelgen project library',
+      invalidJSON: 'Invalid JSON: {error}',
+      animationExport: 'Animation export (intro)',
+      animationPNG: 'PNG sequence (ZIP)',
+      animationSize: 'Size (px):',
+      animationFPS: 'Frames/s:',
+      animationHold: 'Hold (s):',
+      exportAnimation: 'Export animation',
+      animationRendered: 'Rendered {index} of {total} frames',
+      animationRecording: 'Recording: {index} of {total} frames',
+      animationExported: 'Exported an animation of {count} frames',
+      animationFailed: 'The animation export failed:',
+      animationNoWebM: 'This browser cannot record WebM video',
+      batchExport: 'Batch export (one chart per row)',
+      loadBatchFile: 'Load file',
+      batchFileNames: 'File names:',
+      exportBatch: 'Export ZIP',
+      batchRendered: 'Rendered {index} of {total}',
+      batchExported: 'Exported {count} charts',
+      batchFailed: 'The export failed:',
+      survey: 'Survey responses (one row per respondent)',
+      surveyGroupColumn: 'Group column:',
+      surveyGroup: 'Score for group:',
+      surveyBenchmark: 'Benchmark:',
+      surveyBenchmarkGroup: 'Reference group',
+      surveyBenchmarkPercentile: 'Percentile of the groups',
+      surveyBenchmarkKeep: 'Keep current',
+      surveyReference: 'Group:',
+      surveyPercentile: 'Percentile:',
+      applySurvey: 'Compute scores',
+      surveyApplied: 'Scores from {group} of {population} respondents',
+      distributionBand: 'Spread:',
+      distributionNone: 'None',
+      distributionIQR: 'Middle half (quartiles)',
+      distributionRange: 'Lowest to highest',
+      showHistogram: 'Histogram per ring',
+      imported: 'Imported {count} categories',
+      nothingProcessed: 'Nothing was processed. Please fix:',
+      moreErrors: '…and {count} more'
+    },
+    chart: {
+      ring: 'Ring {tier}',
+      score: 'Score',
+      benchmark: 'Benchmark',
+      average: 'Average',
+      scoreDifference: 'score {difference}',
+      respondents: 'Respondents',
+      spread: 'median {median}, {low}–{high}',
+      infoHint: 'Point at or tap a category to compare its values',
+      chart: 'Radial chart',
+      category: 'Category',
+      keyboardHelp: 'Left and Right arrows move between categories, Up and Down between series.',
+      editHelp: 'Enter edits the focused value with Up and Down; Enter or Escape stops.',
+      editStart: 'Editing',
+      editEnd: 'Done editing'
+    },
+    data: {},
+    survey: {}
+  },
+
+  de: {
+    name: 'Deutsch',
+    locale: 'de-DE',
+    categories: [
+      'Klima',
+      'Führung',
+      'Strategie und\nManagement',
+      'Personalmanagement',
+      'Kommunikation',
+      'Wissen und\nFähigkeiten'
+    ],
+    strings: {
+      categories: 'Kategorien',
+      addCategory: '+ Kategorie',
+      removeCategory: 'Kategorie entfernen',
+      defaultCategory: 'Kategorie {number}',
+      scores: 'Ergebnisse',
+      benchmarks: 'Benchmarks',
+      averages: 'Durchschnitte',
+      importData: 'CSV / JSON importieren',
+      pasteHint: 'oder aus einer Tabelle kopierte Zellen einfügen',
+      scale: 'Skala:',
+      scaleMin: 'Min.:',
+      scaleMax: 'Max.:',
+      scaleTiers: 'Ringe:',
+      scaleSteps: 'Stufen/Ring:',
+      scaleUnit: 'Einheit:',
+      scaleCustom: 'Benutzerdefiniert',
+      fillPrecision: 'Füllung:',
+      fillFloor: 'Ganze Stufen, abgerundet',
+      fillRound: 'Ganze Stufen, gerundet',
+      fillContinuous: 'Stufenlos',
+      theme: 'Design:',
+      language: 'Sprache:',
+      toggleBenchmark: 'Benchmark',
+      toggleAverage: 'Durchschnitt',
+      toggleLabels: 'Beschriftungen',
+      undo: 'Rückgängig',
+      redo: 'Wiederholen',
+      undoShortcut: 'Rückgängig (Strg+Z)',
+      redoShortcut: 'Wiederholen (Strg+Umschalt+Z)',
+      randomValues: 'Zufallswerte',
+      animateGrid: 'Raster animieren',
+      animateData: 'Daten animieren',
+      replayAnimation: 'Alles abspielen',
+      play: 'Abspielen',
+      pause: 'Pause',
+      timeline: 'Zeitleiste',
+      playbackSpeed: 'Tempo:',
+      showValues: 'Werte anzeigen',
+      showInfoPanel: 'Details neben dem Diagramm',
+      editHint: 'Ziehen Sie ein Segment nach außen oder innen, um seinen Wert zu ändern. Mit der Tastatur: Diagramm fokussieren, einen Wert mit den Pfeiltasten wählen, dann Eingabe drücken und ihn mit oben und unten ändern.',
+      valueAngle: 'Winkel:',
+      valueFont: 'Schriftgröße:',
+      valueDistance: 'Abstand %:',
+      fileName: 'Dateiname',
+      exportPNG: 'PNG exportieren',
+      exportSVG: 'SVG exportieren',
+      exportSize: 'PNG-Größe:',
+      exportSizePixels: 'Pixel',
+      exportSizePrint: 'Druckgröße',
+      exportSizeInfo: '{pixels} × {pixels} px',
+      customThemes: 'Eigene Designs (in diesem Browser gespeichert)',
+      themeName: 'Name des Designs',
+      saveTheme: 'Design speichern',
+      deleteTheme: 'Design löschen',
+      themeDefault: 'Cirkelgen',
+      themeColorblind: 'Farbenblind-freundlich',
+      themeGreyscale: 'Graustufen (Druck)',
+      themeCustom: 'Eigenes Design',
+      themeUnsaved: '{name} (nicht gespeichert)',
+      themeRings: 'Ringe',
+      themeScores: 'Ergebnisse',
+      themeBenchmark: 'Benchmark',
+      themeAverage: 'Durchschnitt',
+      themeAverageOutline: 'Rand Durchschnitt',
+      themeDistribution: 'Streuung',
+      themeLabels: 'Beschriftungen',
+      themeValues: 'Werte',
+      themeValueOutline: 'Rand Werte',
+      themeBackground: 'Hintergrund',
+      themeTooltip: 'Tooltip',
+      themeTooltipText: 'Tooltip-Text',
+      themeStorageFull: 'Das Design konnte nicht gespeichert werden: Der Browserspeicher ist voll oder deaktiviert',
+      themeReplace: 'Das gespeicherte Design „{name}“ ersetzen?',
+      themeSaved: 'Design „{name}“ gespeichert',
+      themeDelete: 'Das gespeicherte Design „{name}“ löschen?',
+      themeDeleted: 'Design „{name}“ gelöscht',
+      themeNameMissing: 'Bitte zuerst einen Namen für das Design eingeben',
+      themeNotSelected: 'Bitte ein gespeichertes eigenes Design zum Löschen auswählen',
+      projects: 'Projekte (in diesem Browser gespeichert)',
+      projectName: 'Projektname',
+      saveProject: 'Speichern',
+      openProject: 'Öffnen',
+      renameProject: 'Umbenennen',
+      duplicateProject: 'Duplizieren',
+      deleteProject: 'Löschen',
+      exportProjects: 'Bibliothek exportieren',
+      importProjects: 'Bibliothek importieren',
+      defaultProjectName: 'Projekt {number}',
+      projectCopy: '{name} (Kopie)',
+      projectStorageFull: 'Das Projekt konnte nicht gespeichert werden: Der Browserspeicher ist voll oder deaktiviert',
+      projectReplace: 'Das gespeicherte Projekt „{name}“ ersetzen?',
+      projectDelete: '„{name}“ löschen?',
+      projectNameMissing: 'Bitte zuerst einen Projektnamen eingeben',
+      projectInvalid: '„{name}“: Die Diagrammdaten sind unvollständig oder ungültig',
+      projectsImported: '{count} von {total} Projekten importiert',
+      projectsSkipped: '{summary}. Übersprungen:',
+      notALibrary: 'Dies ist keine Cirkelgen-Projektbibliothek',
+      invalidJSON: 'Ungültiges JSON: {error}',
+      animationExport: 'Animation exportieren (Intro)',
+      animationPNG: 'PNG-Sequenz (ZIP)',
+      animationSize: 'Größe (px):',
+      animationFPS: 'Bilder/s:',
+      animationHold: 'Standbild (s):',
+      exportAnimation: 'Animation exportieren',
+      animationRendered: '{index} von {total} Bildern gezeichnet',
+      animationRecording: 'Aufnahme: {index} von {total} Bildern',
+      animationExported: 'Animation mit {count} Bildern exportiert',
+      animationFailed: 'Der Animationsexport ist fehlgeschlagen:',
+      animationNoWebM: 'Dieser Browser kann kein WebM-Video aufnehmen',
+      batchExport: 'Stapelexport (ein Diagramm pro Zeile)',
+      loadBatchFile: 'Datei laden',
+      batchFileNames: 'Dateinamen:',
+      exportBatch: 'ZIP exportieren',
+      batchRendered: '{index} von {total} gezeichnet',
+      batchExported: '{count} Diagramme exportiert',
+      batchFailed: 'Der Export ist fehlgeschlagen:',
+      survey: 'Umfrageantworten (eine Zeile pro befragter Person)',
+      surveyGroupColumn: 'Gruppenspalte:',
+      surveyGroup: 'Ergebnis für Gruppe:',
+      surveyBenchmark: 'Benchmark:',
+      surveyBenchmarkGroup: 'Referenzgruppe',
+      surveyBenchmarkPercentile: 'Perzentil der Gruppen',
+      surveyBenchmarkKeep: 'Aktuellen beibehalten',
+      surveyReference: 'Gruppe:',
+      surveyPercentile: 'Perzentil:',
+      applySurvey: 'Ergebnisse berechnen',
+      surveyApplied: 'Ergebnisse aus {group} von {population} Befragten',
+      distributionBand: 'Streuung:',
+      distributionNone: 'Keine',
+      distributionIQR: 'Mittlere Hälfte (Quartile)',
+      distributionRange: 'Niedrigster bis höchster Wert',
+      showHistogram: 'Histogramm pro Ring',
+      imported: '{count} Kategorien importiert',
+      nothingProcessed: 'Es wurde nichts verarbeitet. Bitte korrigieren:',
+      moreErrors: '…und {count} weitere'
+    },
+    chart: {
+      ring: 'Ring {tier}',
+      score: 'Ergebnis',
+      benchmark: 'Benchmark',
+      average: 'Durchschnitt',
+      scoreDifference: 'Ergebnis {difference}',
+      respondents: 'Befragte',
+      spread: 'Median {median}, {low}–{high}',
+      infoHint: 'Zeigen oder tippen Sie auf eine Kategorie, um die Werte zu vergleichen',
+      chart: 'Radialdiagramm',
+      category: 'Kategorie',
+      keyboardHelp: 'Pfeiltasten links und rechts wechseln die Kategorie, oben und unten die Reihe.',
+      editHelp: 'Eingabe bearbeitet den gewählten Wert mit oben und unten; Eingabe oder Escape beendet.',
+      editStart: 'Bearbeiten',
+      editEnd: 'Bearbeitung beendet'
+    },
+    data: {
+      scores: 'Ergebnisse',
+      benchmarks: 'Benchmarks',
+      averages: 'Durchschnitte',
+      noData: 'Keine Daten gefunden',
+      noBatchData: 'Keine Stapeldaten gefunden',
+      invalidJSON: 'Ungültiges JSON: {error}',
+      jsonShape: 'JSON muss ein Objekt oder eine Liste von Kategorien sein',
+      noValues: 'Keine Ergebnisse, Benchmarks oder Durchschnitte gefunden',
+      item: 'Eintrag {item} ({field})',
+      row: 'Zeile {row}',
+      cell: 'Zeile {row}, Spalte {column}',
+      column: 'Spalte {column} („{header}“)',
+      seriesLength: '{series} hat {count} Werte, erwartet: {expected}',
+      unknownSeries: '{location}: unbekannte Reihe „{name}“',
+      duplicateSeries: '{location}: {series} kommt mehrfach vor',
+      tooManySeries: 'Zeile {row}: Nur {count} Reihen (Ergebnisse, Benchmarks, Durchschnitte) werden unterstützt',
+      tooManyValues: 'Zeile {row}: {values} Werte für {count} Kategorien',
+      missingValue: 'Wert fehlt',
+      notANumber: '„{cell}“ ist keine Zahl',
+      outsideScale: '{cell} liegt außerhalb der Skala ({min}–{max}{suffix})',
+      unknownColumn: '{location}: unbekannte Spalte; das Diagramm hat die Kategorien 1 bis {count}',
+      missingColumn: '{series}: keine Spalte für Kategorie {category} („{label}“)',
+      noValueColumns: 'Keine Wertespalten gefunden (erwartet werden Überschriften wie „score 1“ oder „benchmark: klimaat“)',
+      noRows: 'Die Tabelle hat Überschriften, aber keine Zeilen',
+      missingTemplateColumn: 'Vorlage für Dateinamen: Es gibt keine Spalte „{field}“'
+    },
+    survey: {
+      noResponses: 'Keine Umfrageantworten gefunden',
+      noItems: 'Keine Item-Zuordnung gefunden (eine Zeile pro Item: item, category, reverse, weight)',
+      invalidJSON: 'Ungültiges JSON: {error}',
+      mappingRow: 'Item-Zuordnung Zeile {row}',
+      unknownCategory: '{location}: keine Kategorie „{category}“',
+      badReverse: '{location}: umgekehrt muss ja oder nein sein, nicht „{value}“',
+      badWeight: '{location}: das Gewicht muss eine positive Zahl sein, nicht „{value}“',
+      duplicateItem: '{location}: Item „{item}“ ist doppelt zugeordnet',
+      missingItem: 'Item „{item}“ ist keine Spalte der Antworten',
+      emptyCategory: 'Keine Items für Kategorie {category} („{label}“)',
+      response: 'Antworten Zeile {row}, Spalte {column} („{item}“)',
+      unknownGroupColumn: 'Die Antworten haben keine Spalte „{column}“',
+      noGroupColumn: 'Gruppen und Perzentile brauchen eine Gruppenspalte',
+      unknownGroup: 'Keine Befragten in Gruppe „{group}“ (Gruppen: {groups})',
+      noGroups: 'Die Gruppenspalte „{column}“ enthält keine Gruppen',
+      noAnswers: '{group}: keine Antworten für Kategorie {category} („{label}“)',
+      everyone: 'Alle Befragten',
+      badPercentile: 'Das Perzentil muss zwischen 0 und 100 liegen, nicht „{value}“'
+    }
+  },
+
+  fr: {
+    name: 'Français',
+    locale: 'fr-FR',
+    categories: [
+      'climat',
+      'leadership',
+      'stratégie et\nmanagement',
+      'gestion RH',
+      'communication',
+      'connaissances et\ncompétences'
+    ],
+    strings: {
+      categories: 'Catégories',
+      addCategory: '+ Catégorie',
+      removeCategory: 'Supprimer la catégorie',
+      defaultCategory: 'Catégorie {number}',
+      scores: 'Scores',
+      benchmarks: 'Références',
+      averages: 'Moyennes',
+      importData: 'Importer CSV / JSON',
+      pasteHint: 'ou collez des cellules copiées d\'un tableur',
+      scale: 'Échelle :',
+      scaleMin: 'Min :',
+      scaleMax: 'Max :',
+      scaleTiers: 'Anneaux :',
+      scaleSteps: 'Pas/anneau :',
+      scaleUnit: 'Unité :',
+      scaleCustom: 'Personnalisée',
+      fillPrecision: 'Remplissage :',
+      fillFloor: 'Pas entiers, arrondi inférieur',
+      fillRound: 'Pas entiers, arrondi',
+      fillContinuous: 'Continu',
+      theme: 'Thème :',
+      language: 'Langue :',
+      toggleBenchmark: 'Référence',
+      toggleAverage: 'Moyenne',
+      toggleLabels: 'Libellés',
+      undo: 'Annuler',
+      redo: 'Rétablir',
+      undoShortcut: 'Annuler (Ctrl+Z)',
+      redoShortcut: 'Rétablir (Ctrl+Maj+Z)',
+      randomValues: 'Valeurs aléatoires',
+      animateGrid: 'Animer la grille',
+      animateData: 'Animer les données',
+      replayAnimation: 'Tout rejouer',
+      play: 'Lire',
+      pause: 'Pause',
+      timeline: 'Chronologie',
+      playbackSpeed: 'Vitesse :',
+      showValues: 'Afficher les valeurs',
+      showInfoPanel: 'Détails à côté du graphique',
+      editHint: 'Faites glisser une part vers l\'extérieur ou l\'intérieur pour changer sa valeur. Au clavier : placez le focus sur le graphique, choisissez une valeur avec les flèches, puis appuyez sur Entrée et modifiez-la avec haut et bas.',
+      valueAngle: 'Angle :',
+      valueFont: 'Police :',
+      valueDistance: 'Distance % :',
+      fileName: 'Nom du fichier',
+      exportPNG: 'Exporter en PNG',
+      exportSVG: 'Exporter en SVG',
+      exportSize: 'Taille PNG :',
+      exportSizePixels: 'Pixels',
+      exportSizePrint: 'Taille d\'impression',
+      exportSizeInfo: '{pixels} × {pixels} px',
+      customThemes: 'Thèmes personnalisés (enregistrés dans ce navigateur)',
+      themeName: 'Nom du thème',
+      saveTheme: 'Enregistrer le thème',
+      deleteTheme: 'Supprimer le thème',
+      themeDefault: 'Cirkelgen',
+      themeColorblind: 'Adapté au daltonisme',
+      themeGreyscale: 'Niveaux de gris (impression)',
+      themeCustom: 'Personnalisé',
+      themeUnsaved: '{name} (non enregistré)',
+      themeRings: 'Anneaux',
+      themeScores: 'Scores',
+      themeBenchmark: 'Référence',
+      themeAverage: 'Moyenne',
+      themeAverageOutline: 'Contour moyenne',
+      themeDistribution: 'Dispersion',
+      themeLabels: 'Libellés',
+      themeValues: 'Valeurs',
+      themeValueOutline: 'Contour valeurs',
+      themeBackground: 'Arrière-plan',
+      themeTooltip: 'Infobulle',
+      themeTooltipText: 'Texte de l\'infobulle',
+      themeStorageFull: 'Le thème n\'a pas pu être enregistré : le stockage du navigateur est plein ou désactivé',
+      themeReplace: 'Remplacer le thème enregistré « {name} » ?',
+      themeSaved: 'Thème « {name} » enregistré',
+      themeDelete: 'Supprimer le thème enregistré « {name} » ?',
+      themeDeleted: 'Thème « {name} » supprimé',
+      themeNameMissing: 'Donnez d\'abord un nom au thème',
+      themeNotSelected: 'Sélectionnez un thème personnalisé enregistré à supprimer',
+      projects: 'Projets (enregistrés dans ce navigateur)',
+      projectName: 'Nom du projet',
+      saveProject: 'Enregistrer',
+      openProject: 'Ouvrir',
+      renameProject: 'Renommer',
+      duplicateProject: 'Dupliquer',
+      deleteProject: 'Supprimer',
+      exportProjects: 'Exporter la bibliothèque',
+      importProjects: 'Importer une bibliothèque',
+      defaultProjectName: 'Projet {number}',
+      projectCopy: '{name} (copie)',
+      projectStorageFull: 'Le projet n\'a pas pu être enregistré : le stockage du navigateur est plein ou désactivé',
+      projectReplace: 'Remplacer le projet enregistré « {name} » ?',
+      projectDelete: 'Supprimer « {name} » ?',
+      projectNameMissing: 'Saisissez d\'abord un nom de projet',
+      projectInvalid: '« {name} » : les données du graphique sont incomplètes ou invalides',
+      projectsImported: '{count} projets sur {total} importés',
+      projectsSkipped: '{summary}. Ignorés :',
+      notALibrary: 'Ce n\'est pas une bibliothèque de projets Cirkelgen',
+      invalidJSON: 'JSON invalide : {error}',
+      animationExport: 'Export de l\'animation (intro)',
+      animationPNG: 'Séquence PNG (ZIP)',
+      animationSize: 'Taille (px) :',
+      animationFPS: 'Images/s :',
+      animationHold: 'Image finale (s) :',
+      exportAnimation: 'Exporter l\'animation',
+      animationRendered: '{index} images sur {total} dessinées',
+      animationRecording: 'Enregistrement : {index} images sur {total}',
+      animationExported: 'Animation de {count} images exportée',
+      animationFailed: 'L\'export de l\'animation a échoué :',
+      animationNoWebM: 'Ce navigateur ne peut pas enregistrer de vidéo WebM',
+      batchExport: 'Export par lot (un graphique par ligne)',
+      loadBatchFile: 'Charger un fichier',
+      batchFileNames: 'Noms de fichiers :',
+      exportBatch: 'Exporter en ZIP',
+      batchRendered: '{index} sur {total} dessinés',
+      batchExported: '{count} graphiques exportés',
+      batchFailed: 'L\'export a échoué :',
+      survey: 'Réponses au questionnaire (une ligne par répondant)',
+      surveyGroupColumn: 'Colonne de groupe :',
+      surveyGroup: 'Score du groupe :',
+      surveyBenchmark: 'Référence :',
+      surveyBenchmarkGroup: 'Groupe de référence',
+      surveyBenchmarkPercentile: 'Centile des groupes',
+      surveyBenchmarkKeep: 'Garder l\'actuelle',
+      surveyReference: 'Groupe :',
+      surveyPercentile: 'Centile :',
+      applySurvey: 'Calculer les scores',
+      surveyApplied: 'Scores de {group} répondants sur {population}',
+      distributionBand: 'Dispersion :',
+      distributionNone: 'Aucune',
+      distributionIQR: 'Moitié centrale (quartiles)',
+      distributionRange: 'Du plus bas au plus haut',
+      showHistogram: 'Histogramme par anneau',
+      imported: '{count} catégories importées',
+      nothingProcessed: 'Rien n\'a été traité. Veuillez corriger :',
+      moreErrors: '…et {count} de plus'
+    },
+    chart: {
+      ring: 'Anneau {tier}',
+      score: 'Score',
+      benchmark: 'Référence',
+      average: 'Moyenne',
+      scoreDifference: 'score {difference}',
+      respondents: 'Répondants',
+      spread: 'médiane {median}, {low}–{high}',
+      infoHint: 'Pointez ou touchez une catégorie pour comparer ses valeurs',
+      chart: 'Graphique radial',
+      category: 'Catégorie',
+      keyboardHelp: 'Les flèches gauche et droite changent de catégorie, haut et bas de série.',
+      editHelp: 'Entrée modifie la valeur choisie avec haut et bas ; Entrée ou Échap arrête.',
+      editStart: 'Modification',
+      editEnd: 'Modification terminée'
+    },
+    data: {
+      scores: 'Scores',
+      benchmarks: 'Références',
+      averages: 'Moyennes',
+      noData: 'Aucune donnée trouvée',
+      noBatchData: 'Aucune donnée de lot trouvée',
+      invalidJSON: 'JSON invalide : {error}',
+      jsonShape: 'Le JSON doit être un objet ou une liste de catégories',
+      noValues: 'Aucun score, aucune référence ni moyenne trouvés',
+      item: 'Élément {item} ({field})',
+      row: 'Ligne {row}',
+      cell: 'Ligne {row}, colonne {column}',
+      column: 'Colonne {column} (« {header} »)',
+      seriesLength: '{series} contient {count} valeurs, {expected} attendues',
+      unknownSeries: '{location} : série inconnue « {name} »',
+      duplicateSeries: '{location} : {series} apparaît plusieurs fois',
+      tooManySeries: 'Ligne {row} : seules {count} séries (scores, références, moyennes) sont prises en charge',
+      tooManyValues: 'Ligne {row} : {values} valeurs pour {count} catégories',
+      missingValue: 'valeur manquante',
+      notANumber: '« {cell} » n\'est pas un nombre',
+      outsideScale: '{cell} est hors de l\'échelle ({min}–{max}{suffix})',
+      unknownColumn: '{location} : colonne inconnue ; le graphique a les catégories 1 à {count}',
+      missingColumn: '{series} : aucune colonne pour la catégorie {category} (« {label} »)',
+      noValueColumns: 'Aucune colonne de valeurs trouvée (en-têtes attendus comme « score 1 » ou « benchmark: klimaat »)',
+      noRows: 'Le tableau a des en-têtes mais aucune ligne',
+      missingTemplateColumn: 'Modèle de nom de fichier : il n\'y a pas de colonne « {field} »'
+    },
+    survey: {
+      noResponses: 'Aucune réponse au questionnaire trouvée',
+      noItems: 'Aucune correspondance des items trouvée (une ligne par item : item, category, reverse, weight)',
+      invalidJSON: 'JSON invalide : {error}',
+      mappingRow: 'Correspondance des items, ligne {row}',
+      unknownCategory: '{location} : pas de catégorie « {category} »',
+      badReverse: '{location} : inversé doit valoir oui ou non, pas « {value} »',
+      badWeight: '{location} : le poids doit être un nombre positif, pas « {value} »',
+      duplicateItem: '{location} : l\'item « {item} » apparaît deux fois',
+      missingItem: 'L\'item « {item} » n\'est pas une colonne des réponses',
+      emptyCategory: 'Aucun item pour la catégorie {category} (« {label} »)',
+      response: 'Réponses ligne {row}, colonne {column} (« {item} »)',
+      unknownGroupColumn: 'Les réponses n\'ont pas de colonne « {column} »',
+      noGroupColumn: 'Les groupes et les centiles nécessitent une colonne de groupe',
+      unknownGroup: 'Aucun répondant dans le groupe « {group} » (groupes : {groups})',
+      noGroups: 'La colonne de groupe « {column} » ne contient aucun groupe',
+      noAnswers: '{group} : aucune réponse pour la catégorie {category} (« {label} »)',
+      everyone: 'Tous les répondants',
+      badPercentile: 'Le centile doit être compris entre 0 et 100, pas « {value} »'
+    }
+  }
+};
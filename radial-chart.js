@@ -0,0 +1,2959 @@
+/**
+ * Cirkelgen - Radial Chart Library (Konva.js)
+ *
+ * Animated radial chart with concentric tiers per category, showing scores,
+ * benchmarks and average indicators. Every chart made by createRadialChart owns
+ * its stage, layers, data and settings, so several charts can share a page.
+ *
+ *   const chart = RadialChart.createRadialChart('chart-container', { size: 400 });
+ *   chart.setData({ labels: ['a', 'b', 'c'], scores: [1.5, 3, 2.2] });
+ *   chart.animate();
+ *
+ * Loads as a browser global (window.RadialChart, after Konva and ChartData)
+ * or as a CommonJS module.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('konva'), require('./chart-data'));
+  } else {
+    root.RadialChart = factory(root.Konva, root.ChartData);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Konva, ChartData) {
+'use strict';
+
+const { getQuantile } = ChartData;
+
+// =============================================================================
+// DEFAULT OPTIONS
+// =============================================================================
+
+// Pixel options (font sizes, label widths, gap lines) are given for a chart
+// of this size; charts of any other size scale them proportionally
+const REFERENCE_SIZE = 500;
+
+const DEFAULT_OPTIONS = {
+  // Display settings
+  size: 500,
+  responsive: false,       // Follow the container's width and height (ResizeObserver), overriding size
+
+  // Chart geometry (in layer units; the total layer count follows from the scale)
+  centerHole: 18,
+  ringThickness: 10,
+  gapThickness: 3,
+  sliceGapThickness: 3,
+
+  // Value scale: each tier is one ring, divided into stepsPerTier fill steps
+  scale: {
+    min: 0,
+    max: 4,
+    tiers: 4,
+    stepsPerTier: 10,
+    suffix: ''
+  },
+
+  // Fill precision for all three series: 'steps' fills whole steps, snapping
+  // values by stepRounding ('floor' or 'round'); 'continuous' fills exactly
+  // to the value
+  fillMode: 'steps',
+  stepRounding: 'floor',
+
+  // Colors: the name of a built-in theme (see THEMES) or a theme object
+  theme: 'default',
+
+  // Animation timing
+  animationDuration: 1200,
+  gridAnimationDuration: 1800,
+  sliceStaggerDelay: 150,  // Delay between each slice starting
+  sliceOverlap: 0.6,       // How much slices overlap (0-1, higher = more overlap)
+  tierStaggerDelay: 60,    // Delay between tiers within a slice
+  transitionDuration: 900, // Per-slice tween between datasets (transitionTo)
+  playbackSpeed: 1,        // Timeline speed multiple
+  reducedMotion: null,     // null follows prefers-reduced-motion; true skips to the final frame
+  onTimelineChange: null,  // Called with getTimeline() on every frame, play, pause and seek
+
+  // Editing on the chart: drag a slice outward or inward, or focus the chart,
+  // press Enter and use Up/Down to step the value
+  editable: false,
+  onValueChange: null,     // Called with (key, category, value) for every edited value
+
+  // Category label layout
+  curvedLabels: true,      // Set along the arc above each slice; false for straight rotated text
+  labelFontSize: 12,
+  minLabelFontSize: 8,
+  labelMaxWidth: 110,      // Wrap width for straight labels on wide slices
+  labelMaxLines: 2,        // Curved labels shrink before wrapping onto more lines
+
+  // Visibility
+  showBenchmark: true,
+  showAverage: true,
+  showLabels: true,
+  showValues: false,
+
+  // Spread of the respondent values in data.distributions: 'range' draws a
+  // band from the lowest to the highest value, 'iqr' over the middle half
+  // (first to third quartile), null nothing; both mark the median
+  distributionBand: null,
+  showHistogram: false,    // Share of the respondents ending in each ring, as arcs in the ring
+
+  // Value label customization
+  valueAngleOffset: 0,
+  valueFontSize: 14,
+  valueDistancePercent: 100,
+
+  // Number formatting (BCP 47 tag such as 'nl-NL'; null keeps "3.5" style)
+  locale: null,
+
+  // Category summary shown on hover and tap: in the tooltip, or in this
+  // element (or element id) beside the chart
+  infoPanel: null,
+  tierNames: null,         // One name per ring, innermost first; null numbers them (strings.ring)
+
+  // Tooltip and screen-reader text; {tier} is the 1-based ring number,
+  // {difference} the score minus another series' value, {low} and {high}
+  // the ends of the distribution band (the range without one)
+  strings: {
+    ring: 'Ring {tier}',
+    scoreDifference: 'score {difference}',
+    respondents: 'Respondents',
+    spread: 'median {median}, {low}\u2013{high}',
+    infoHint: 'Point at or tap a category to compare its values',
+    score: 'Score',
+    benchmark: 'Benchmark',
+    average: 'Average',
+    chart: 'Radial chart',
+    category: 'Category',
+    keyboardHelp: 'Left and Right arrows move between categories, Up and Down between series.',
+    editHelp: 'Enter edits the focused value with Up and Down; Enter or Escape stops.',
+    editStart: 'Editing',
+    editEnd: 'Done editing'
+  }
+};
+
+const SCALE_PRESETS = {
+  '0-4': { min: 0, max: 4, tiers: 4, stepsPerTier: 10, suffix: '' },
+  '1-5': { min: 1, max: 5, tiers: 4, stepsPerTier: 10, suffix: '' },
+  '0-10': { min: 0, max: 10, tiers: 5, stepsPerTier: 20, suffix: '' },
+  '0-100%': { min: 0, max: 100, tiers: 4, stepsPerTier: 25, suffix: '%' }
+};
+
+const SERIES_KEYS = ['scores', 'benchmarks', 'averages'];
+
+// Series key -> the `type` attribute of its shapes and its tooltip string
+const SERIES_TYPES = { scores: 'score', benchmarks: 'benchmark', averages: 'average' };
+
+// Hides an element on screen while leaving it to screen readers
+const VISUALLY_HIDDEN = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  margin: '-1px',
+  padding: '0',
+  border: '0',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  clipPath: 'inset(50%)',
+  whiteSpace: 'nowrap'
+};
+
+// How far a mouse or pen must move after a press before it drags the value
+// (px); a finger must move past the tap slop, so taps never edit
+const DRAG_THRESHOLD = 3;
+
+// Touch gestures: the furthest zoom, the zoom a double tap goes to, how long
+// a press lasts before it counts as a long press (ms), how far a finger may
+// move for a tap (px), and the time and distance between the taps of a double tap
+const MAX_ZOOM = 4;
+const DOUBLE_TAP_ZOOM = 2;
+const LONG_PRESS_DELAY = 500;
+const TAP_SLOP = 10;
+const DOUBLE_TAP_DELAY = 300;
+const DOUBLE_TAP_SLOP = 30;
+
+// Numbers the charts on a page, for the ids their ARIA attributes refer to
+let chartCount = 0;
+
+// =============================================================================
+// THEMES
+// =============================================================================
+
+/**
+ * Built-in color themes. Ring palettes run from the innermost to the
+ * outermost ring and are interpolated when the scale has a different number
+ * of tiers. All colors are #rrggbb hex.
+ */
+const THEMES = {
+  default: {
+    name: 'Cirkelgen',
+    backgroundColors: ['#F2F2F2', '#E6E6E6', '#CCCCCC', '#999999'],
+    scoreColors: ['#CEE5DA', '#6EC5CD', '#076C98', '#182E57'],
+    benchmarkColor: '#F47B54',
+    averageColor: '#FFFF00',
+    averageStrokeColor: '#444444',
+    distributionColor: '#444444',
+    labelColor: '#076C98',
+    valueColor: '#FFFFFF',
+    valueStrokeColor: '#000000',
+    backgroundColor: '#FFFFFF',  // Chart background, also used for the gaps between slices
+    tooltipColor: '#000000',
+    tooltipTextColor: '#FFFFFF'
+  },
+
+  // Blue scores against an orange benchmark stay apart for every common
+  // colour vision deficiency (Okabe-Ito orange, sequential blues)
+  colorblind: {
+    name: 'Colour-blind safe',
+    backgroundColors: ['#F2F2F2', '#E6E6E6', '#CCCCCC', '#999999'],
+    scoreColors: ['#C6DBEF', '#6BAED6', '#2171B5', '#08306B'],
+    benchmarkColor: '#E69F00',
+    averageColor: '#F0E442',
+    averageStrokeColor: '#000000',
+    distributionColor: '#000000',
+    labelColor: '#0072B2',
+    valueColor: '#FFFFFF',
+    valueStrokeColor: '#000000',
+    backgroundColor: '#FFFFFF',
+    tooltipColor: '#000000',
+    tooltipTextColor: '#FFFFFF'
+  },
+
+  // For black-and-white printing: light rings, dark scores, a mid-grey
+  // benchmark and white averages with a black outline
+  greyscale: {
+    name: 'Greyscale (print)',
+    backgroundColors: ['#F7F7F7', '#F2F2F2', '#EDEDED', '#E8E8E8'],
+    scoreColors: ['#8C8C8C', '#6E6E6E', '#4D4D4D', '#262626'],
+    benchmarkColor: '#C4C4C4',
+    averageColor: '#FFFFFF',
+    averageStrokeColor: '#000000',
+    distributionColor: '#000000',
+    labelColor: '#262626',
+    valueColor: '#FFFFFF',
+    valueStrokeColor: '#000000',
+    backgroundColor: '#FFFFFF',
+    tooltipColor: '#000000',
+    tooltipTextColor: '#FFFFFF'
+  }
+};
+
+const THEME_PALETTE_KEYS = ['backgroundColors', 'scoreColors'];
+const THEME_COLOR_KEYS = Object.keys(THEMES.default).filter(key => key !== 'name' && !THEME_PALETTE_KEYS.includes(key));
+
+function isHexColor(value) {
+  return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+/**
+ * A theme object is valid when every color it sets is #rrggbb hex; missing
+ * colors fall back to the default theme
+ */
+function isValidTheme(theme) {
+  if (typeof theme === 'string') return Object.prototype.hasOwnProperty.call(THEMES, theme);
+  if (!theme || typeof theme !== 'object') return false;
+
+  return THEME_PALETTE_KEYS.every(key => theme[key] === undefined ||
+      (Array.isArray(theme[key]) && theme[key].length > 0 && theme[key].every(isHexColor))) &&
+    THEME_COLOR_KEYS.every(key => theme[key] === undefined || isHexColor(theme[key]));
+}
+
+/**
+ * @param {string|Object} theme - Built-in theme name or theme object
+ * @returns {Object} Complete theme with every color set
+ */
+function resolveTheme(theme) {
+  if (!isValidTheme(theme)) {
+    throw new Error(typeof theme === 'string'
+      ? `Unknown theme "${theme}" (expected ${Object.keys(THEMES).join(', ')})`
+      : 'Invalid theme: colors must be #rrggbb hex and ring palettes non-empty arrays');
+  }
+
+  const resolved = { ...THEMES.default, ...(typeof theme === 'string' ? THEMES[theme] : theme) };
+  THEME_PALETTE_KEYS.forEach(key => {
+    resolved[key] = resolved[key].slice();
+  });
+  return resolved;
+}
+
+// =============================================================================
+// EASING FUNCTIONS
+// =============================================================================
+
+const Easing = {
+  // Standard ease out cubic
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+
+  // Elastic bounce for playful effect
+  easeOutElastic: (t) => {
+    const c4 = (2 * Math.PI) / 3;
+    return t === 0 ? 0 : t === 1 ? 1 : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * c4) + 1;
+  },
+
+  // Smooth ease out with overshoot
+  easeOutBack: (t) => {
+    const c1 = 1.70158;
+    const c3 = c1 + 1;
+    return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+  },
+
+  // Quick start, smooth end
+  easeOutQuart: (t) => 1 - Math.pow(1 - t, 4),
+
+  // Slow start and end, for moving between two states
+  easeInOutCubic: (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+
+  // Exponential ease out
+  easeOutExpo: (t) => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
+
+  // Sine ease for smooth motion
+  easeOutSine: (t) => Math.sin((t * Math.PI) / 2),
+
+  // Combined ease for building effect
+  easeOutCirc: (t) => Math.sqrt(1 - Math.pow(t - 1, 2))
+};
+
+// =============================================================================
+// GEOMETRY HELPERS
+// =============================================================================
+
+/**
+ * @param {Object} options - Chart options
+ * @param {number} numCategories - Number of slices
+ */
+function getChartGeometry(options, numCategories) {
+  const { tiers } = options.scale;
+  const totalLayers = options.centerHole + tiers * options.ringThickness + (tiers - 1) * options.gapThickness;
+
+  const centerX = options.size / 2;
+  const centerY = options.size / 2;
+  const maxRadius = (options.size / 2) * 0.8;
+  const layerThickness = maxRadius / totalLayers;
+  const sliceAngle = (Math.PI * 2) / numCategories;
+  const rotationAngle = -Math.PI / 2; // Start at top
+
+  return { centerX, centerY, maxRadius, layerThickness, sliceAngle, rotationAngle };
+}
+
+function getRingBounds(tierIndex, layerThickness, options) {
+  const startRadius = (options.centerHole + tierIndex * (options.ringThickness + options.gapThickness)) * layerThickness;
+  const endRadius = startRadius + options.ringThickness * layerThickness;
+  return { startRadius, endRadius };
+}
+
+function createArcPath(centerX, centerY, innerRadius, outerRadius, startAngle, endAngle) {
+  // Create a wedge shape using sceneFunc
+  return function(context, shape) {
+    context.beginPath();
+    context.arc(centerX, centerY, outerRadius, startAngle, endAngle);
+    context.arc(centerX, centerY, innerRadius, endAngle, startAngle, true);
+    context.closePath();
+    context.fillStrokeShape(shape);
+  };
+}
+
+/**
+ * sceneFunc for a wedge that keeps its geometry in attributes (centerX,
+ * centerY, innerRadius, outerRadius, startAngle, endAngle), so the same shape
+ * can be reshaped from frame to frame with setAttrs
+ */
+function drawArcSegment(context, shape) {
+  const { centerX, centerY, innerRadius, outerRadius, startAngle, endAngle } = shape.attrs;
+
+  context.beginPath();
+  context.arc(centerX, centerY, outerRadius, startAngle, endAngle);
+  context.arc(centerX, centerY, innerRadius, endAngle, startAngle, true);
+  context.closePath();
+  context.fillStrokeShape(shape);
+}
+
+/**
+ * Fill steps (fractional) up to a radius: the inverse of the ring layout, with
+ * the gap between two rings counting as the boundary between their tiers
+ */
+function getStepsAtRadius(radius, layerThickness, options) {
+  const { tiers, stepsPerTier } = options.scale;
+
+  for (let tier = 0; tier < tiers; tier++) {
+    const { startRadius, endRadius } = getRingBounds(tier, layerThickness, options);
+    if (radius < startRadius) return tier * stepsPerTier;
+    if (radius <= endRadius) return (tier + (radius - startRadius) / (endRadius - startRadius)) * stepsPerTier;
+  }
+
+  return tiers * stepsPerTier;
+}
+
+/**
+ * Fit category labels to the arc available per slice, so many narrow slices
+ * get narrower, smaller labels instead of overlapping their neighbours
+ * @param {number} labelRadius - Radius the labels are anchored on
+ * @param {number} sliceAngle - Angle of a single slice in radians
+ * @param {Object} options - Chart options
+ * @returns {{width: number, fontSize: number}}
+ */
+function getLabelLayout(labelRadius, sliceAngle, options) {
+  const arcLength = labelRadius * sliceAngle;
+  const width = Math.min(options.labelMaxWidth, arcLength * 0.9);
+  const fontSize = Math.max(
+    options.minLabelFontSize,
+    Math.min(options.labelFontSize, Math.floor(width / 8))
+  );
+
+  return { width, fontSize };
+}
+
+/**
+ * Break a label into lines and pick the largest font size at which every line
+ * fits the arc. Manual line breaks are kept; words wrap onto up to
+ * labelMaxLines lines before the font shrinks. At the minimum font size the
+ * label is accepted even when it overflows.
+ * @param {string} text - Category label
+ * @param {number} arcLength - Length available along the arc
+ * @param {function(string, number): number} measure - Width of a line at a font size
+ * @param {Object} options - Chart options
+ * @returns {{lines: string[], fontSize: number}}
+ */
+function fitCurvedLabel(text, arcLength, measure, options) {
+  const wrap = fontSize => text.split('\n').flatMap(paragraph => {
+    const lines = [];
+    paragraph.trim().split(/\s+/).forEach(word => {
+      const last = lines[lines.length - 1];
+      if (last !== undefined && measure(`${last} ${word}`, fontSize) <= arcLength) {
+        lines[lines.length - 1] = `${last} ${word}`;
+      } else {
+        lines.push(word);
+      }
+    });
+    return lines;
+  });
+
+  for (let fontSize = options.labelFontSize; fontSize > options.minLabelFontSize; fontSize--) {
+    const lines = wrap(fontSize);
+    if (lines.length <= options.labelMaxLines && lines.every(line => measure(line, fontSize) <= arcLength)) {
+      return { lines, fontSize };
+    }
+  }
+
+  return { lines: wrap(options.minLabelFontSize), fontSize: options.minLabelFontSize };
+}
+
+/**
+ * SVG path data for an arc centred on an angle, running left to right as
+ * seen by the reader: clockwise on the top half, counter-clockwise on the
+ * (flipped) bottom half
+ * @param {number} centerX - Chart centre
+ * @param {number} centerY - Chart centre
+ * @param {number} radius - Arc radius
+ * @param {number} midAngle - Angle of the arc's midpoint in radians
+ * @param {number} span - Arc angle in radians (below a full turn)
+ * @param {boolean} flipped - Whether the arc runs counter-clockwise
+ * @returns {string}
+ */
+function createLabelArcData(centerX, centerY, radius, midAngle, span, flipped) {
+  const direction = flipped ? -1 : 1;
+  const point = angle => `${formatSVGNumber(centerX + radius * Math.cos(angle))} ${formatSVGNumber(centerY + radius * Math.sin(angle))}`;
+
+  return `M ${point(midAngle - direction * span / 2)} ` +
+    `A ${formatSVGNumber(radius)} ${formatSVGNumber(radius)} 0 ${span > Math.PI ? 1 : 0} ${flipped ? 0 : 1} ` +
+    `${point(midAngle + direction * span / 2)}`;
+}
+
+/**
+ * Tangential labels on the bottom half of the circle would read upside down
+ * @param {number} angle - Label anchor angle in radians (canvas orientation)
+ * @returns {boolean}
+ */
+function isLabelFlipped(angle) {
+  const normalized = ((angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+  return normalized > 1e-6 && normalized < Math.PI - 1e-6;
+}
+
+// =============================================================================
+// SCALE HELPERS
+// =============================================================================
+
+function isValidScale(scale) {
+  return Boolean(scale) &&
+    Number.isFinite(scale.min) &&
+    Number.isFinite(scale.max) &&
+    scale.max > scale.min &&
+    Number.isInteger(scale.tiers) && scale.tiers >= 1 &&
+    Number.isInteger(scale.stepsPerTier) && scale.stepsPerTier >= 1;
+}
+
+/**
+ * Value represented by a single fill step
+ */
+function getScaleStep(scale) {
+  return (scale.max - scale.min) / (scale.tiers * scale.stepsPerTier);
+}
+
+function clampToScale(value, scale) {
+  return Math.max(scale.min, Math.min(scale.max, value));
+}
+
+/**
+ * Five-number summary of a category's respondent values, clamped to the scale
+ * @returns {{count: number, min: number, q1: number, median: number, q3: number, max: number}|null} Null without values
+ */
+function getDistributionStats(values, scale) {
+  if (!values || !values.length) return null;
+
+  const sorted = values.map(value => clampToScale(value, scale)).sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    q1: getQuantile(sorted, 0.25),
+    median: getQuantile(sorted, 0.5),
+    q3: getQuantile(sorted, 0.75),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+/**
+ * Number of fill steps a value covers, counted from the centre outwards
+ */
+function getFilledSteps(value, scale) {
+  // The tolerance keeps values like 0.3 (2.9999... steps of 0.1) on their step
+  return Math.floor((value - scale.min) / getScaleStep(scale) + 1e-9);
+}
+
+/**
+ * Fill level drawn for a value, in steps from the centre: fractional in
+ * continuous mode, otherwise a whole number of steps
+ */
+function getValueLevel(value, options) {
+  const { scale } = options;
+
+  if (options.fillMode === 'continuous') {
+    return (value - scale.min) / getScaleStep(scale);
+  }
+  if (options.stepRounding === 'round') {
+    return Math.round((value - scale.min) / getScaleStep(scale) + 1e-9);
+  }
+  return getFilledSteps(value, scale);
+}
+
+/**
+ * Value at a whole number of fill steps, without floating-point noise
+ */
+function getStepValue(steps, scale) {
+  return parseFloat((scale.min + steps * getScaleStep(scale)).toPrecision(12));
+}
+
+/**
+ * Portion (0-1) of a tier's ring covered by a fill level
+ * @param {number} level - Filled steps; fractional while a transition tweens
+ * @param {number} tier - Tier index
+ * @param {Object} scale - Value scale
+ */
+function getTierFillRatio(level, tier, scale) {
+  const { stepsPerTier } = scale;
+  const stepsFilled = Math.max(0, Math.min(stepsPerTier, level - tier * stepsPerTier));
+  return stepsFilled / stepsPerTier;
+}
+
+/**
+ * Decimals needed to show a value at the scale's resolution
+ */
+function getScaleDecimals(scale) {
+  const step = getScaleStep(scale);
+  for (let decimals = 0; decimals <= 3; decimals++) {
+    if (Math.abs(Math.round(step * Math.pow(10, decimals)) - step * Math.pow(10, decimals)) < 1e-9) {
+      return decimals;
+    }
+  }
+
+  // Steps like 1/6 never terminate; show enough decimals to tell steps apart
+  return Math.min(3, Math.max(0, Math.ceil(-Math.log10(step))));
+}
+
+/**
+ * @param {number} value
+ * @param {Object} scale
+ * @param {string|null} [locale] - Use the locale's decimal separator (e.g. "3,5" for 'nl-NL')
+ */
+function formatValue(value, scale, locale = null) {
+  const decimals = getScaleDecimals(scale);
+  const number = locale
+    ? value.toLocaleString(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals, useGrouping: false })
+    : value.toFixed(decimals);
+  return `${number}${scale.suffix}`;
+}
+
+/**
+ * A difference with its direction, e.g. "▲ +0.4"; differences that round to
+ * zero at the scale's precision count as equal
+ * @returns {{trend: string, text: string}} trend is 'up', 'down' or 'same'
+ */
+function formatDifference(difference, scale, locale = null) {
+  const magnitude = formatValue(Math.abs(difference), scale, locale);
+  if (magnitude === formatValue(0, scale, locale)) return { trend: 'same', text: `= ${magnitude}` };
+  return difference > 0
+    ? { trend: 'up', text: `▲ +${magnitude}` }
+    : { trend: 'down', text: `▼ −${magnitude}` };
+}
+
+/**
+ * Pick a ring color from a palette, interpolating when the scale has more or
+ * fewer tiers than the palette has colors
+ * @param {string[]} colors - Hex colors from innermost to outermost ring
+ * @param {number} tier - Tier index
+ * @param {number} tiers - Number of tiers on the scale
+ */
+function getTierColor(colors, tier, tiers) {
+  if (tiers === colors.length) return colors[tier];
+  if (colors.length === 1) return colors[0];
+  if (tiers === 1) return colors[colors.length - 1];
+
+  const position = tier / (tiers - 1) * (colors.length - 1);
+  const index = Math.min(colors.length - 2, Math.floor(position));
+  return mixColors(colors[index], colors[index + 1], position - index);
+}
+
+function mixColors(fromHex, toHex, amount) {
+  const from = parseInt(fromHex.slice(1), 16);
+  const to = parseInt(toHex.slice(1), 16);
+  const channel = (shift) => {
+    const a = (from >> shift) & 255;
+    const b = (to >> shift) & 255;
+    return Math.round(a + (b - a) * amount);
+  };
+  const mixed = (channel(16) << 16) | (channel(8) << 8) | channel(0);
+  return `#${mixed.toString(16).padStart(6, '0')}`;
+}
+
+// =============================================================================
+// CHART FACTORY
+// =============================================================================
+
+/**
+ * Create an independent radial chart
+ * @param {string|HTMLElement|null} container - Element (or its id) to render into; null when rendering headless
+ * @param {Object} [options] - Overrides for DEFAULT_OPTIONS, plus an optional initial `data`
+ * @returns {Object} Chart instance
+ */
+function createRadialChart(container, options = {}) {
+  const { data: initialData, ...initialOptions } = options;
+  const settings = mergeOptions(DEFAULT_OPTIONS, initialOptions);
+  let theme = resolveTheme(settings.theme);
+
+  let data = normalizeData(initialData || {});
+  let destroyed = false;
+  let resizeObserver = null;
+
+  // Series value with the keyboard focus, or being dragged ({ key, category });
+  // Enter switches the arrow keys from moving the focus to editing the value
+  let focused = null;
+  let keyboardEditing = false;
+  let dragging = false;
+  let dragPress = null;  // Where the pointer went down, until it is released
+
+  // Screen-reader elements in the container (see createAccessibleElements)
+  let accessible = null;
+
+  // Category last pointed at, while the summary shows in an info panel
+  let infoCategory = null;
+
+  // Zoom of every layer but the tooltip's: a chart point p shows on the stage
+  // at p * scale + (x, y). The touch gesture in progress and the last tap,
+  // for double taps.
+  let view = { scale: 1, x: 0, y: 0 };
+  let touchGesture = null;
+  let lastTap = null;
+
+  // Current animation sequence ({ sequence, elapsed }), kept after it ends
+  // so it can be scrubbed and replayed
+  let timeline = null;
+  let playing = false;
+  const ticker = new Konva.Animation(tick);
+
+  // Dataset transition in the frame being drawn: the fill levels (per series)
+  // and average radii it started from, and the per-slice progress
+  let transition = null;
+
+  const stage = new Konva.Stage({
+    container: container || undefined,
+    width: settings.size,
+    height: settings.size
+  });
+
+  // Create layers in render order (bottom to top); names become SVG group ids.
+  // Distribution marks and labels are groups on top of the scores and
+  // averages, which keeps the stage within Konva's recommended five layers.
+  const backgroundLayer = new Konva.Layer({ name: 'background' });
+  const benchmarkLayer = new Konva.Layer({ name: 'benchmarks' });
+  const scoreLayer = new Konva.Layer({ name: 'scores' });
+  const averageLayer = new Konva.Layer({ name: 'averages' });
+  const tooltipLayer = new Konva.Layer({ name: 'tooltip' });
+  const distributionGroup = new Konva.Group({ name: 'distributions', listening: false });
+  const labelGroup = new Konva.Group({ name: 'labels' });
+
+  stage.add(backgroundLayer);
+  stage.add(benchmarkLayer);
+  stage.add(scoreLayer);
+  stage.add(averageLayer);
+  stage.add(tooltipLayer);
+  scoreLayer.add(distributionGroup);
+  averageLayer.add(labelGroup);
+
+  // Drawn under the tooltip while the chart has the keyboard focus
+  const focusRing = new Konva.Shape({ sceneFunc: drawArcSegment, visible: false, listening: false });
+  tooltipLayer.add(focusRing);
+
+  const tooltip = createTooltip();
+
+  // Shapes are kept between frames and only reshaped: segments per category
+  // and tier (flat, category-major), gap lines, average pills and
+  // distribution marks per category
+  const nodes = {
+    background: [],
+    backgroundGaps: [],
+    benchmarks: [],
+    scores: [],
+    scoreGaps: [],
+    histogram: [],
+    distributions: [],
+    averages: []
+  };
+
+  addLayerHover(benchmarkLayer, true);
+  addLayerHover(scoreLayer, true);
+  addLayerHover(averageLayer, false);
+
+  // Off-stage text for measuring curved label lines
+  const labelMeasure = new Konva.Text({ fontFamily: 'Arial', fontStyle: 'bold' });
+
+  // ---------------------------------------------------------------------------
+  // Data
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Keep labels and series the same length; values are stored as given and
+   * clamped to the scale when drawn, so a later scale change keeps them
+   */
+  function normalizeData(input) {
+    const labels = (input.labels || []).map(label => String(label));
+    const count = labels.length || Math.max(0, ...SERIES_KEYS.map(key => (input[key] || []).length));
+    while (labels.length < count) labels.push('');
+
+    const normalized = { labels };
+    SERIES_KEYS.forEach(key => {
+      const values = input[key] || [];
+      normalized[key] = labels.map((_, index) => {
+        const value = Number(values[index]);
+        return values[index] !== null && values[index] !== undefined && Number.isFinite(value) ? value : null;
+      });
+    });
+
+    // Respondent values per category for the spread overlay; null where there are none
+    const distributions = input.distributions || [];
+    normalized.distributions = labels.map((_, index) => (
+      Array.isArray(distributions[index])
+        ? distributions[index].map(Number).filter(Number.isFinite)
+        : null
+    ));
+
+    return normalized;
+  }
+
+  function getSeries(key) {
+    return data[key].map(value => (value === null ? settings.scale.min : clampToScale(value, settings.scale)));
+  }
+
+  function getCategoryCount() {
+    return data.labels.length;
+  }
+
+  function geometry() {
+    return getChartGeometry(settings, getCategoryCount());
+  }
+
+  function ringBounds(tierIndex, layerThickness) {
+    return getRingBounds(tierIndex, layerThickness, settings);
+  }
+
+  /**
+   * A pixel length given for REFERENCE_SIZE, at the chart's size
+   */
+  function scaled(value) {
+    return value * settings.size / REFERENCE_SIZE;
+  }
+
+  /**
+   * Settings with the label font sizes and width scaled to the chart's size
+   */
+  function getLabelOptions() {
+    return {
+      ...settings,
+      labelFontSize: scaled(settings.labelFontSize),
+      minLabelFontSize: scaled(settings.minLabelFontSize),
+      labelMaxWidth: scaled(settings.labelMaxWidth)
+    };
+  }
+
+  function setCursor(cursor) {
+    const element = stage.container();
+    if (element) element.style.cursor = cursor;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Responsive sizing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Largest square that fits the container's content box; the container needs
+   * a height of its own (e.g. aspect-ratio: 1) to grow the chart vertically
+   * @returns {number|null} Null while the container is detached or hidden
+   */
+  function getContainerSize() {
+    const element = stage.container();
+    if (!element) return null;
+
+    const size = Math.floor(Math.min(element.clientWidth, element.clientHeight || Infinity));
+    return size > 0 ? size : null;
+  }
+
+  function fitContainer() {
+    const size = getContainerSize();
+    if (size && size !== settings.size) setOptions({ size });
+  }
+
+  /**
+   * Observe the container while `responsive` is on; observing also reports
+   * the current size, so switching it on fits the chart straight away
+   */
+  function updateResizeObserver() {
+    const element = stage.container();
+    const observe = Boolean(settings.responsive && element && typeof ResizeObserver !== 'undefined');
+
+    if (observe && !resizeObserver) {
+      resizeObserver = new ResizeObserver(fitContainer);
+      resizeObserver.observe(element);
+    } else if (!observe && resizeObserver) {
+      resizeObserver.disconnect();
+      resizeObserver = null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tooltip
+  // ---------------------------------------------------------------------------
+
+  function createTooltip() {
+    const tooltipGroup = new Konva.Group({
+      visible: false
+    });
+
+    const tooltipBg = new Konva.Rect({
+      opacity: 0.85,
+      cornerRadius: 6,
+      padding: 10
+    });
+
+    const tooltipText = new Konva.Text({
+      text: '',
+      fontSize: 14,
+      fontFamily: 'Arial',
+      padding: 8
+    });
+
+    tooltipGroup.add(tooltipBg);
+    tooltipGroup.add(tooltipText);
+    tooltipLayer.add(tooltipGroup);
+
+    return {
+      group: tooltipGroup,
+      bg: tooltipBg,
+      text: tooltipText
+    };
+  }
+
+  function getTierName(tier) {
+    const names = settings.tierNames;
+    return names && names[tier] ? names[tier] : settings.strings.ring.replace('{tier}', tier + 1);
+  }
+
+  function getTooltipText(category, tier, value, type) {
+    const label = data.labels[category].replace(/\n/g, ' ');
+    const typeLabel = settings.strings[type];
+
+    return `${label}\n${getTierName(tier)}: ${formatValue(value, settings.scale, settings.locale)} (${typeLabel})`;
+  }
+
+  /**
+   * A category's drawn series: the score with the name of the ring it ends
+   * in, the benchmark and average with the score's difference from them
+   * @returns {{label: string, rows: Array<{key: string, name: string, value: string, note: string, trend: string|null}>}}
+   */
+  function getCategorySummary(category) {
+    const { strings, scale, locale } = settings;
+    const score = getSeries('scores')[category];
+
+    const rows = getFocusableKeys().map(key => {
+      const value = getSeries(key)[category];
+      const row = { key, name: strings[SERIES_TYPES[key]], value: formatValue(value, scale, locale) };
+      if (key === 'scores') return { ...row, note: getTierName(getValueTier(score)), trend: null };
+
+      const { trend, text } = formatDifference(score - value, scale, locale);
+      return { ...row, note: strings.scoreDifference.replace('{difference}', text), trend };
+    });
+
+    const spread = getDistributionStats(data.distributions[category], scale);
+    if (spread) {
+      const [low, high] = getBandEnds(spread);
+      const note = strings.spread
+        .replace('{median}', formatValue(spread.median, scale, locale))
+        .replace('{low}', formatValue(low, scale, locale))
+        .replace('{high}', formatValue(high, scale, locale));
+      rows.push({ key: 'distributions', name: strings.respondents, value: String(spread.count), note, trend: null });
+    }
+
+    return { label: data.labels[category].replace(/\n/g, ' '), rows };
+  }
+
+  function getCategoryTooltipText(category) {
+    const { label, rows } = getCategorySummary(category);
+    return [label, ...rows.map(({ name, value, note }) => `${name}: ${value} (${note})`)].join('\n');
+  }
+
+  /**
+   * @param {string} text - Tooltip text
+   * @param {number} x - Stage position the tooltip points at (unaffected by zoom)
+   * @param {number} y
+   */
+  function showTooltip(text, x, y) {
+    tooltip.bg.fill(theme.tooltipColor);
+    tooltip.text.fill(theme.tooltipTextColor);
+    tooltip.text.text(text);
+
+    const textWidth = tooltip.text.width();
+    const textHeight = tooltip.text.height();
+
+    tooltip.bg.width(textWidth);
+    tooltip.bg.height(textHeight);
+
+    // Beside the point (on its left near the right edge), always inside the
+    // stage: the visible area, also when the point is zoomed out of view
+    let tooltipX = x + 15;
+    if (tooltipX + textWidth > stage.width()) {
+      tooltipX = x - textWidth - 15;
+    }
+    tooltipX = Math.max(5, Math.min(stage.width() - textWidth - 5, tooltipX));
+    const tooltipY = Math.max(5, Math.min(stage.height() - textHeight - 5, y - textHeight / 2));
+
+    tooltip.group.position({ x: tooltipX, y: tooltipY });
+    tooltip.group.visible(true);
+    tooltipLayer.batchDraw();
+  }
+
+  function hideTooltip() {
+    tooltip.group.visible(false);
+    tooltipLayer.batchDraw();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Category summary
+  // ---------------------------------------------------------------------------
+
+  function getInfoPanel() {
+    const panel = settings.infoPanel;
+    if (typeof panel !== 'string') return panel;
+    return typeof document !== 'undefined' ? document.getElementById(panel) : null;
+  }
+
+  /**
+   * Summarise a category in the info panel, or in the tooltip at a stage point
+   */
+  function showCategorySummary(category, point) {
+    if (getInfoPanel()) {
+      infoCategory = category;
+      updateInfoPanel();
+      hideTooltip();
+    } else {
+      showTooltip(getCategoryTooltipText(category), point.x, point.y);
+    }
+  }
+
+  /**
+   * The info panel keeps its category until the pointer reaches another one
+   */
+  function hideCategorySummary() {
+    if (!getInfoPanel()) hideTooltip();
+  }
+
+  /**
+   * Pointing anywhere in a slice, its grid included, summarises the category
+   */
+  function onStageHover() {
+    if (dragging) return;
+
+    const point = stage.getPointerPosition();
+    const category = point ? getCategoryAt(toChartPoint(point)) : -1;
+    if (category < 0) {
+      hideCategorySummary();
+    } else {
+      showCategorySummary(category, point);
+    }
+  }
+
+  function updateInfoPanel() {
+    const panel = getInfoPanel();
+    if (!panel) return;
+
+    const add = (parent, tagName, text, className) => {
+      const node = panel.ownerDocument.createElement(tagName);
+      node.textContent = text;
+      if (className) node.className = className;
+      parent.appendChild(node);
+      return node;
+    };
+
+    panel.replaceChildren();
+    if (infoCategory === null || infoCategory >= getCategoryCount()) {
+      add(panel, 'p', settings.strings.infoHint);
+      return;
+    }
+
+    const { label, rows } = getCategorySummary(infoCategory);
+    add(panel, 'strong', label);
+    const list = add(panel, 'dl', '');
+    rows.forEach(({ name, value, note, trend }) => {
+      add(list, 'dt', name);
+      const detail = add(list, 'dd', `${value} `);
+      add(detail, 'span', note, trend && `radial-chart-${trend}`);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Drawing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Draw background with optional per-slice animation progress
+   * @param {number[]} sliceProgress - Array of progress values (0-1) for each slice
+   * @param {number[]} tierProgress - Array of progress values (0-1) for each tier within slices
+   */
+  function drawBackground(sliceProgress = null, tierProgress = null) {
+    const { centerX, centerY, layerThickness, sliceAngle, rotationAngle } = geometry();
+    const { tiers } = settings.scale;
+    const segments = syncNodes(nodes.background, getCategoryCount() * tiers, index => createSegment(backgroundLayer, index));
+
+    for (let category = 0; category < getCategoryCount(); category++) {
+      const baseStartAngle = category * sliceAngle + rotationAngle;
+      const baseEndAngle = (category + 1) * sliceAngle + rotationAngle;
+
+      // Get slice progress (angle sweep)
+      const sliceProg = sliceProgress ? sliceProgress[category] : 1;
+
+      // Animate angle sweep clockwise
+      const animatedEndAngle = baseStartAngle + (baseEndAngle - baseStartAngle) * Easing.easeOutCubic(sliceProg);
+
+      for (let tier = 0; tier < tiers; tier++) {
+        const segment = segments[category * tiers + tier];
+        const { startRadius, endRadius } = ringBounds(tier, layerThickness);
+
+        // Get tier progress (radial build-out)
+        let tierProg = 1;
+        if (tierProgress && tierProgress[category]) {
+          tierProg = tierProgress[category][tier] || 0;
+        }
+        if (sliceProg <= 0 || tierProg <= 0) {
+          segment.visible(false);
+          continue;
+        }
+
+        // Animate radius from inner to outer
+        const easedTierProg = Easing.easeOutQuart(tierProg);
+        const animatedEndRadius = startRadius + (endRadius - startRadius) * easedTierProg;
+
+        segment.setAttrs({
+          visible: true,
+          centerX,
+          centerY,
+          innerRadius: startRadius,
+          outerRadius: animatedEndRadius,
+          startAngle: baseStartAngle,
+          endAngle: animatedEndAngle,
+          fill: getTierColor(theme.backgroundColors, tier, tiers)
+        });
+      }
+    }
+
+    // Draw gap lines as solid mask (always full opacity)
+    drawGapLines(backgroundLayer, nodes.backgroundGaps);
+
+    backgroundLayer.batchDraw();
+  }
+
+  function drawGapLines(layer, gaps) {
+    const { centerX, centerY, maxRadius, sliceAngle, rotationAngle } = geometry();
+
+    syncNodes(gaps, getCategoryCount(), () => {
+      const gap = new Konva.Line();
+      layer.add(gap);
+      return gap;
+    });
+
+    gaps.forEach((gap, i) => {
+      const angle = i * sliceAngle + rotationAngle;
+
+      gap.setAttrs({
+        points: [
+          centerX,
+          centerY,
+          centerX + Math.cos(angle) * (maxRadius + scaled(20)),
+          centerY + Math.sin(angle) * (maxRadius + scaled(20))
+        ],
+        stroke: theme.backgroundColor,
+        strokeWidth: scaled(settings.sliceGapThickness * 3)
+      });
+    });
+  }
+
+  /**
+   * Grow or shrink a pool of persistent nodes to `count`; nodes are only
+   * created or destroyed when the number of categories or tiers changes
+   * @param {Array} pool - Nodes (or groups of nodes) kept between frames
+   * @param {function(number): *} create - Creates the entry at an index and adds it to its layer
+   * @returns {Array} The pool
+   */
+  function syncNodes(pool, count, create) {
+    while (pool.length < count) {
+      pool.push(create(pool.length));
+    }
+    pool.splice(count).forEach(entry => {
+      (entry instanceof Konva.Node ? [entry] : Object.values(entry)).forEach(node => node.destroy());
+    });
+    return pool;
+  }
+
+  function createSegment(layer, index) {
+    const segment = new Konva.Shape({ sceneFunc: drawArcSegment, visible: false });
+    layer.add(segment);
+
+    // Segments added later (more categories or tiers) stay under the gap lines
+    segment.zIndex(index);
+    return segment;
+  }
+
+  /**
+   * Hover feedback for every data shape on a layer (shapes with a `type`
+   * attribute), handled once on the layer instead of on each shape; the
+   * tooltip follows the whole slice (see onStageHover)
+   * @param {Konva.Layer} layer - Layer to listen on
+   * @param {boolean} highlight - Dim the hovered shape
+   */
+  function addLayerHover(layer, highlight) {
+    layer.on('mouseover', function(e) {
+      const shape = e.target;
+      if (!shape.attrs.type || dragging) return;
+
+      setCursor('pointer');
+      if (highlight) {
+        shape.opacity(0.8);
+        layer.batchDraw();
+      }
+    });
+
+    layer.on('mouseout', function(e) {
+      const shape = e.target;
+      if (!shape.attrs.type) return;
+
+      if (highlight) {
+        shape.opacity(1);
+        layer.batchDraw();
+      }
+      if (!dragging) setCursor('default');
+    });
+  }
+
+  /**
+   * Indicator position for an average: in steps mode centred on the last step
+   * a score of the same value fills, in continuous mode exactly where that
+   * score's fill ends (the end of a ring rather than the start of the next)
+   * @returns {{tierIndex: number, midRadius: number}|null} Null when the average fills nothing
+   */
+  function getAveragePosition(average, layerThickness) {
+    const level = getValueLevel(average, settings);
+    if (average <= settings.scale.min || level <= 0) return null;
+
+    const { tiers, stepsPerTier } = settings.scale;
+    const isContinuous = settings.fillMode === 'continuous';
+    const position = Math.min(tiers * stepsPerTier, Math.max(0, isContinuous ? level : level - 0.5));
+    const tierIndex = isContinuous
+      ? Math.min(tiers - 1, Math.max(0, Math.ceil(position / stepsPerTier) - 1))
+      : Math.min(tiers - 1, Math.floor(position / stepsPerTier));
+    const stepWithinTier = position - tierIndex * stepsPerTier;
+
+    const { startRadius, endRadius } = ringBounds(tierIndex, layerThickness);
+    const midRadius = startRadius + (endRadius - startRadius) * stepWithinTier / stepsPerTier;
+    return { tierIndex, midRadius };
+  }
+
+  /**
+   * Where an appearing average tweens out from: the position of one fill step
+   */
+  function getAverageStartRadius(layerThickness) {
+    return getAveragePosition(getStepValue(1, settings.scale), layerThickness).midRadius;
+  }
+
+  /**
+   * Filled steps to draw for a value, tweened while a transition runs
+   */
+  function getFillLevel(key, category, value) {
+    const level = getValueLevel(value, settings);
+    return transition ? tween(transition.levels[key][category], level, category) : level;
+  }
+
+  function tween(from, to, category) {
+    return from + (to - from) * Easing.easeInOutCubic(transition.progress[category]);
+  }
+
+  /**
+   * Update one ring segment per category and tier for a series, with
+   * per-slice concentric animation (expands from center)
+   * @param {Konva.Shape[]} segments - The series' segment pool
+   * @param {string} key - Series key, for transitions
+   * @param {number[]} values - Values for each category
+   * @param {number|number[]} animationProgress - Global progress or per-slice progress array
+   * @param {function(number): string} getFill - Color for a tier
+   */
+  function drawSeriesSegments(segments, key, values, animationProgress, getFill) {
+    const { centerX, centerY, layerThickness, sliceAngle, rotationAngle } = geometry();
+    const { tiers } = settings.scale;
+    const isPerSlice = Array.isArray(animationProgress);
+    const type = SERIES_TYPES[key];
+
+    // Calculate the maximum possible radius for scaling
+    const maxTierBounds = ringBounds(tiers - 1, layerThickness);
+    const maxPossibleRadius = maxTierBounds.endRadius;
+
+    for (let category = 0; category < getCategoryCount(); category++) {
+      const startAngle = category * sliceAngle + rotationAngle;
+      const endAngle = (category + 1) * sliceAngle + rotationAngle;
+
+      // Use exponential easing for smooth concentric expansion
+      const sliceProgress = isPerSlice ? animationProgress[category] : animationProgress;
+      const easedProgress = sliceProgress > 0 ? Easing.easeOutExpo(sliceProgress) : 0;
+
+      // Calculate the current maximum radius based on animation progress
+      const currentMaxRadius = maxPossibleRadius * easedProgress;
+      const fillLevel = getFillLevel(key, category, values[category]);
+
+      for (let tier = 0; tier < tiers; tier++) {
+        const segment = segments[category * tiers + tier];
+        const { startRadius, endRadius } = ringBounds(tier, layerThickness);
+
+        // Calculate filled portion for this tier based on the value
+        const fillRatio = getTierFillRatio(fillLevel, tier, settings.scale);
+        const targetEndRadius = startRadius + (endRadius - startRadius) * fillRatio;
+
+        // Clamp the end radius to the current animation radius
+        const animatedEndRadius = Math.min(targetEndRadius, currentMaxRadius);
+
+        // Only show if there's something visible
+        if (fillRatio <= 0 || animatedEndRadius <= startRadius) {
+          segment.visible(false);
+          continue;
+        }
+
+        segment.setAttrs({
+          visible: true,
+          centerX,
+          centerY,
+          innerRadius: startRadius,
+          outerRadius: animatedEndRadius,
+          startAngle,
+          endAngle,
+          fill: getFill(tier),
+          category,
+          tier,
+          value: values[category],
+          type
+        });
+      }
+    }
+  }
+
+  /**
+   * Draw scores with per-slice concentric animation (expands from center)
+   * @param {number[]} scores - Score values for each category
+   * @param {number|number[]} animationProgress - Global progress or per-slice progress array
+   */
+  function drawScores(scores, animationProgress = 1) {
+    const { tiers } = settings.scale;
+    const segments = syncNodes(nodes.scores, getCategoryCount() * tiers, index => createSegment(scoreLayer, index));
+
+    drawSeriesSegments(segments, 'scores', scores, animationProgress,
+      tier => getTierColor(theme.scoreColors, tier, tiers));
+
+    // Draw gap lines as solid mask (always full opacity)
+    drawGapLines(scoreLayer, nodes.scoreGaps);
+    scoreLayer.batchDraw();
+  }
+
+  /**
+   * Draw benchmarks with per-slice concentric animation (expands from center)
+   * @param {number[]} benchmarks - Benchmark values for each category
+   * @param {number|number[]} animationProgress - Global progress or per-slice progress array
+   */
+  function drawBenchmarks(benchmarks, animationProgress = 1) {
+    const count = settings.showBenchmark ? getCategoryCount() * settings.scale.tiers : 0;
+    const segments = syncNodes(nodes.benchmarks, count, index => createSegment(benchmarkLayer, index));
+
+    if (count) {
+      drawSeriesSegments(segments, 'benchmarks', benchmarks, animationProgress, () => theme.benchmarkColor);
+    }
+
+    benchmarkLayer.batchDraw();
+  }
+
+  /**
+   * Pill-shaped average indicator: a band with circular end caps
+   */
+  function createAveragePill() {
+    const style = { visible: false };
+    const pill = {
+      band: new Konva.Shape({ ...style, sceneFunc: drawArcSegment }),
+      startCap: new Konva.Circle(style),
+      endCap: new Konva.Circle(style)
+    };
+
+    averageLayer.add(pill.band, pill.startCap, pill.endCap);
+    labelGroup.moveToTop();
+    return pill;
+  }
+
+  /**
+   * Draw averages with per-slice animation support
+   * @param {number[]} averages - Average values for each category
+   * @param {number|number[]} animationProgress - Global progress or per-slice progress array
+   */
+  function drawAverages(averages, animationProgress = 1) {
+    const pills = syncNodes(nodes.averages, settings.showAverage ? getCategoryCount() : 0, createAveragePill);
+
+    const { centerX, centerY, layerThickness, sliceAngle, rotationAngle } = geometry();
+    const isPerSlice = Array.isArray(animationProgress);
+
+    pills.forEach((pill, category) => {
+      const parts = [pill.band, pill.startCap, pill.endCap];
+      const startAngle = category * sliceAngle + rotationAngle;
+      const endAngle = (category + 1) * sliceAngle + rotationAngle;
+      const average = averages[category];
+
+      const position = getAveragePosition(average, layerThickness);
+      const sliceProgress = isPerSlice ? animationProgress[category] : animationProgress;
+
+      if (!position || sliceProgress <= 0) {
+        parts.forEach(part => part.visible(false));
+        return;
+      }
+
+      const easedProgress = Easing.easeOutBack(sliceProgress); // Use back easing for bouncy effect
+
+      const { tierIndex } = position;
+      const midRadius = transition
+        ? tween(transition.radii[category] || getAverageStartRadius(layerThickness), position.midRadius, category)
+        : position.midRadius;
+
+      // End caps sit just past the slice middle on either side
+      const protrusion = scaled(10);
+      const protrusionAngle = Math.asin(Math.min(1, protrusion / midRadius));
+      const midAngle = (startAngle + endAngle) / 2;
+
+      // Animated position (grows from center)
+      const animatedRadius = midRadius * easedProgress;
+
+      const circleRadius = layerThickness * 0.6;
+      const scaledCircleRadius = circleRadius * Math.min(1, easedProgress);
+
+      // Every part carries the tooltip attributes for the layer's hover handler
+      parts.forEach(part => part.setAttrs({
+        visible: true,
+        fill: theme.averageColor,
+        stroke: theme.averageStrokeColor,
+        strokeWidth: scaled(2),
+        category,
+        tier: tierIndex,
+        value: average,
+        type: 'average'
+      }));
+
+      pill.band.setAttrs({
+        centerX,
+        centerY,
+        innerRadius: animatedRadius - scaledCircleRadius,
+        outerRadius: animatedRadius + scaledCircleRadius,
+        startAngle: midAngle - protrusionAngle,
+        endAngle: midAngle + protrusionAngle
+      });
+
+      pill.startCap.setAttrs({
+        x: centerX + animatedRadius * Math.cos(midAngle - protrusionAngle),
+        y: centerY + animatedRadius * Math.sin(midAngle - protrusionAngle),
+        radius: scaledCircleRadius
+      });
+
+      pill.endCap.setAttrs({
+        x: centerX + animatedRadius * Math.cos(midAngle + protrusionAngle),
+        y: centerY + animatedRadius * Math.sin(midAngle + protrusionAngle),
+        radius: scaledCircleRadius
+      });
+    });
+
+    averageLayer.batchDraw();
+  }
+
+  /**
+   * Ends of the distribution band: the quartiles for 'iqr', otherwise the range
+   */
+  function getBandEnds(spread) {
+    return settings.distributionBand === 'iqr' ? [spread.q1, spread.q3] : [spread.min, spread.max];
+  }
+
+  /**
+   * Radius a value reaches when filled exactly, without snapping to steps
+   */
+  function getValueRadius(value, layerThickness) {
+    const { min, max, tiers } = settings.scale;
+    const position = (clampToScale(value, settings.scale) - min) / (max - min) * tiers;
+    const tierIndex = Math.min(tiers - 1, Math.floor(position));
+    const { startRadius, endRadius } = ringBounds(tierIndex, layerThickness);
+    return startRadius + (endRadius - startRadius) * (position - tierIndex);
+  }
+
+  function createDistributionMarks() {
+    const style = { visible: false };
+    const marks = { band: new Konva.Rect(style), median: new Konva.Rect(style) };
+    distributionGroup.add(marks.band, marks.median);
+    return marks;
+  }
+
+  /**
+   * Spread of the respondent values along the middle of each slice: a band
+   * with a tick at the median, over a histogram of arcs as long as the share
+   * of respondents ending in each ring
+   * @param {number|number[]} animationProgress - Global progress or per-slice progress array
+   */
+  function drawDistributions(animationProgress = 1) {
+    const { centerX, centerY, layerThickness, sliceAngle, rotationAngle } = geometry();
+    const { tiers } = settings.scale;
+    const count = getCategoryCount();
+    const bins = syncNodes(nodes.histogram, settings.showHistogram ? count * tiers : 0, index => createSegment(distributionGroup, index));
+    const marks = syncNodes(nodes.distributions, settings.distributionBand ? count : 0, createDistributionMarks);
+    const isPerSlice = Array.isArray(animationProgress);
+
+    for (let category = 0; category < count; category++) {
+      const values = data.distributions[category];
+      const spread = getDistributionStats(values, settings.scale);
+      const sliceProgress = isPerSlice ? animationProgress[category] : animationProgress;
+      const visible = Boolean(spread) && sliceProgress > 0;
+      const easedProgress = Easing.easeOutCubic(sliceProgress);
+      const midAngle = (category + 0.5) * sliceAngle + rotationAngle;
+
+      if (settings.showHistogram) {
+        const tierCounts = new Array(tiers).fill(0);
+        if (visible) values.forEach(value => tierCounts[getValueTier(clampToScale(value, settings.scale))]++);
+
+        tierCounts.forEach((tierCount, tier) => {
+          const bin = bins[category * tiers + tier];
+          if (!tierCount) {
+            bin.visible(false);
+            return;
+          }
+
+          const { startRadius, endRadius } = ringBounds(tier, layerThickness);
+          const inset = (endRadius - startRadius) / 4;
+          const span = sliceAngle * 0.9 * easedProgress * tierCount / spread.count;
+          bin.setAttrs({
+            visible: true,
+            centerX,
+            centerY,
+            innerRadius: startRadius + inset,
+            outerRadius: endRadius - inset,
+            startAngle: midAngle - span / 2,
+            endAngle: midAngle + span / 2,
+            fill: theme.distributionColor,
+            opacity: 0.3
+          });
+        });
+      }
+
+      if (!settings.distributionBand) continue;
+
+      const { band, median } = marks[category];
+      if (!visible) {
+        band.visible(false);
+        median.visible(false);
+        continue;
+      }
+
+      const [low, high] = getBandEnds(spread).map(value => getValueRadius(value, layerThickness) * easedProgress);
+      const medianRadius = getValueRadius(spread.median, layerThickness) * easedProgress;
+
+      // Rectangles rotated onto the slice's middle, their x running outwards
+      // from the centre; outlined so they stand out on any ring or fill
+      const style = {
+        visible: true,
+        x: centerX,
+        y: centerY,
+        rotation: midAngle * 180 / Math.PI,
+        fill: theme.distributionColor,
+        stroke: theme.backgroundColor,
+        strokeWidth: scaled(1)
+      };
+      band.setAttrs({
+        ...style,
+        offsetX: -low,
+        offsetY: scaled(3),
+        width: Math.max(high - low, scaled(1)),
+        height: scaled(6),
+        opacity: 0.6
+      });
+      median.setAttrs({
+        ...style,
+        offsetX: -(medianRadius - scaled(1.5)),
+        offsetY: scaled(9),
+        width: scaled(3),
+        height: scaled(18)
+      });
+    }
+
+    // Above the score segments and gap lines, also those added since
+    distributionGroup.moveToTop();
+    scoreLayer.batchDraw();
+  }
+
+  /**
+   * Draw category labels and, when enabled, value labels
+   */
+  function drawLabels() {
+    labelGroup.destroyChildren();
+
+    const { centerX, centerY, maxRadius, sliceAngle, rotationAngle } = geometry();
+
+    // Draw category labels (axis names) if enabled
+    if (settings.showLabels && settings.curvedLabels) {
+      drawCurvedLabels();
+    } else if (settings.showLabels) {
+      const labelRadius = maxRadius + scaled(30);
+      const { width, fontSize } = getLabelLayout(labelRadius, sliceAngle, getLabelOptions());
+
+      for (let category = 0; category < getCategoryCount(); category++) {
+        const midAngle = category * sliceAngle + sliceAngle / 2 + rotationAngle;
+
+        const x = centerX + labelRadius * Math.cos(midAngle);
+        const y = centerY + labelRadius * Math.sin(midAngle);
+
+        // Calculate rotation for label to follow circle
+        let rotation = (midAngle * 180 / Math.PI) + 90;
+
+        // Flip text on the bottom half so it's readable
+        if (isLabelFlipped(midAngle)) {
+          rotation += 180;
+        }
+
+        const label = new Konva.Text({
+          x: x,
+          y: y,
+          text: data.labels[category],
+          width: width,
+          fontSize: fontSize,
+          fontFamily: 'Arial',
+          fontStyle: 'bold',
+          fill: theme.labelColor,
+          align: 'center',
+          wrap: 'word',
+          rotation: rotation
+        });
+
+        // Center on the anchor point so flipped and unflipped labels line up
+        label.offsetX(width / 2);
+        label.offsetY(label.height() / 2);
+
+        labelGroup.add(label);
+      }
+    }
+
+    // Draw value labels if enabled
+    if (settings.showValues) {
+      drawValueLabels(getSeries('scores'));
+    }
+
+    averageLayer.batchDraw();
+  }
+
+  /**
+   * Labels set along arcs centred on each slice, one concentric arc per line,
+   * with the first line on top as read (outermost on the top half, innermost
+   * on the flipped bottom half)
+   */
+  function drawCurvedLabels() {
+    const { centerX, centerY, maxRadius, sliceAngle, rotationAngle } = geometry();
+    const labelRadius = maxRadius + scaled(30);
+    const labelOptions = getLabelOptions();
+    const arcLength = labelRadius * sliceAngle * 0.9;
+
+    for (let category = 0; category < getCategoryCount(); category++) {
+      const midAngle = category * sliceAngle + sliceAngle / 2 + rotationAngle;
+      const flipped = isLabelFlipped(midAngle);
+      const { lines, fontSize } = fitCurvedLabel(data.labels[category], arcLength, measureLabel, labelOptions);
+      const lineHeight = fontSize * 1.2;
+
+      lines.forEach((line, index) => {
+        const offset = (index - (lines.length - 1) / 2) * lineHeight;
+        const lineRadius = flipped ? labelRadius + offset : labelRadius - offset;
+
+        // Glyphs sit on the alphabetic baseline, about 0.35em below their middle
+        const baselineRadius = flipped ? lineRadius + fontSize * 0.35 : lineRadius - fontSize * 0.35;
+
+        // The path must be at least as long as the text, or glyphs are dropped
+        const span = Math.min(Math.PI * 1.9, Math.max(sliceAngle, measureLabel(line, fontSize) * 1.1 / baselineRadius));
+
+        labelGroup.add(new Konva.TextPath({
+          data: createLabelArcData(centerX, centerY, baselineRadius, midAngle, span, flipped),
+          text: line,
+          fontSize: fontSize,
+          fontFamily: 'Arial',
+          fontStyle: 'bold',
+          fill: theme.labelColor,
+          align: 'center',
+          textBaseline: 'alphabetic'
+        }));
+      });
+    }
+  }
+
+  function measureLabel(text, fontSize) {
+    labelMeasure.fontSize(fontSize);
+    return labelMeasure.measureSize(text).width;
+  }
+
+  function drawValueLabels(scores) {
+    const { centerX, centerY, layerThickness, sliceAngle, rotationAngle } = geometry();
+    const valueFontSize = scaled(settings.valueFontSize);
+
+    // Position at the start of the outermost ring
+    const outerRingStart = ringBounds(settings.scale.tiers - 1, layerThickness).startRadius;
+    let gapCenterRadius = outerRingStart * (settings.valueDistancePercent / 100);
+
+    for (let category = 0; category < getCategoryCount(); category++) {
+      const angle = category * sliceAngle + sliceAngle / 2 + rotationAngle + (settings.valueAngleOffset * Math.PI / 180);
+      const x = centerX + gapCenterRadius * Math.cos(angle);
+      const y = centerY + gapCenterRadius * Math.sin(angle);
+
+      const valueText = new Konva.Text({
+        x: x,
+        y: y,
+        text: formatValue(scores[category], settings.scale, settings.locale),
+        fontSize: valueFontSize,
+        fontFamily: 'Arial',
+        fontStyle: 'bold',
+        fill: theme.valueColor,
+        stroke: theme.valueStrokeColor,
+        strokeWidth: scaled(1),
+        align: 'center',
+        offsetX: valueFontSize / 2,
+        offsetY: valueFontSize / 2
+      });
+
+      labelGroup.add(valueText);
+    }
+  }
+
+  /**
+   * Draw the final (non-animated) state of every layer
+   */
+  function drawAll() {
+    drawBackground();
+    drawBenchmarks(getSeries('benchmarks'));
+    drawScores(getSeries('scores'));
+    drawDistributions();
+    drawAverages(getSeries('averages'));
+    drawLabels();
+  }
+
+  function clearLabels() {
+    labelGroup.destroyChildren();
+    averageLayer.batchDraw();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Editing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Category whose slice contains a stage position
+   * @returns {number} -1 outside the rings
+   */
+  function getCategoryAt(position) {
+    const { centerX, centerY, maxRadius, sliceAngle, rotationAngle } = geometry();
+    const dx = position.x - centerX;
+    const dy = position.y - centerY;
+    if (!getCategoryCount() || Math.hypot(dx, dy) > maxRadius) return -1;
+
+    const angle = ((Math.atan2(dy, dx) - rotationAngle) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2);
+    return Math.min(getCategoryCount() - 1, Math.floor(angle / sliceAngle));
+  }
+
+  /**
+   * Value for a pointer position, snapped to the scale's steps: scores and
+   * benchmarks fill up to the nearest step edge, averages mark the step the
+   * pointer is in
+   */
+  function getValueAt(position, key) {
+    const { centerX, centerY, layerThickness } = geometry();
+    const { tiers, stepsPerTier } = settings.scale;
+    const steps = getStepsAtRadius(Math.hypot(position.x - centerX, position.y - centerY), layerThickness, settings);
+
+    const snapped = key === 'averages'
+      ? (steps > 0 ? Math.min(tiers * stepsPerTier, Math.floor(steps) + 1) : 0)
+      : Math.round(steps);
+    return getStepValue(snapped, settings.scale);
+  }
+
+  /**
+   * Tier a value ends in (the tooltip's ring number)
+   */
+  function getValueTier(value) {
+    return Math.max(0, Math.ceil(getValueLevel(value, settings) / settings.scale.stepsPerTier) - 1);
+  }
+
+  function setEditedValue(key, category, value) {
+    if (data[key][category] === value) return;
+
+    data[key][category] = value;
+    draw();
+    if (settings.onValueChange) settings.onValueChange(key, category, value);
+  }
+
+  /**
+   * Start editing from a press on a slice: the series of the pressed shape,
+   * or the score when the press is on the grid
+   */
+  function startDrag(e) {
+    if (e.evt.button > 0) return;
+
+    const category = getCategoryAt(toChartPoint(stage.getPointerPosition()));
+    if (category < 0) return;
+
+    // A press also moves the keyboard focus to the pressed series
+    const key = SERIES_KEYS.find(candidate => SERIES_TYPES[candidate] === e.target.attrs.type) || 'scores';
+    focused = { key, category };
+    if (!settings.editable) return;
+
+    // Editing shows the final values, not a frame of an animation
+    if (isTimelineRunning()) seek(timeline.sequence.getDuration());
+
+    e.evt.preventDefault();
+    if (stage.container()) stage.content.focus({ preventScroll: true });
+
+    dragPress = {
+      x: e.evt.clientX,
+      y: e.evt.clientY,
+      slop: e.evt.pointerType === 'touch' ? TAP_SLOP : DRAG_THRESHOLD
+    };
+
+    // On the window, so the drag continues when the pointer leaves the chart
+    window.addEventListener('pointermove', updateDrag);
+    window.addEventListener('pointerup', endDrag);
+    window.addEventListener('pointercancel', endDrag);
+  }
+
+  function updateDrag(event) {
+    if (!dragging) {
+      if (Math.hypot(event.clientX - dragPress.x, event.clientY - dragPress.y) <= dragPress.slop) return;
+      dragging = true;
+      setCursor('grabbing');
+    }
+
+    stage.setPointersPositions(event);
+    const position = stage.getPointerPosition();
+    const { key, category } = focused;
+    const value = getValueAt(toChartPoint(position), key);
+
+    setEditedValue(key, category, value);
+    showTooltip(getTooltipText(category, getValueTier(value), value, SERIES_TYPES[key]), position.x, position.y);
+  }
+
+  function endDrag() {
+    window.removeEventListener('pointermove', updateDrag);
+    window.removeEventListener('pointerup', endDrag);
+    window.removeEventListener('pointercancel', endDrag);
+
+    dragPress = null;
+    if (!dragging) return;
+
+    dragging = false;
+    setCursor('default');
+    hideTooltip();
+  }
+
+  /**
+   * Turning `editable` off ends any drag or keyboard editing in progress
+   */
+  function updateEditing() {
+    if (settings.editable) return;
+
+    keyboardEditing = false;
+    if (dragPress) endDrag();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Keyboard and screen readers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Series the focus can land on: those drawn
+   */
+  function getFocusableKeys() {
+    return SERIES_KEYS.filter(key => (key === 'benchmarks' ? settings.showBenchmark : key === 'averages' ? settings.showAverage : true));
+  }
+
+  /**
+   * The focused series value, moved onto the chart when its category was
+   * removed or its series hidden
+   */
+  function getFocusTarget() {
+    const keys = getFocusableKeys();
+    return {
+      key: focused && keys.includes(focused.key) ? focused.key : keys[0],
+      category: focused && focused.category < getCategoryCount() ? focused.category : 0
+    };
+  }
+
+  /**
+   * Left/Right move the focus to the previous or next slice (counter-clockwise
+   * or clockwise), Up/Down to the next or previous series in the slice. While
+   * editing (Enter, with `editable` on), Up/Down step the value instead.
+   */
+  function onKeyDown(event) {
+    const count = getCategoryCount();
+    if (!count || dragging) return;
+
+    const target = getFocusTarget();
+    const { key, category } = target;
+    const { tiers, stepsPerTier } = settings.scale;
+    let announcement = null;
+
+    if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+      target.category = (category + (event.key === 'ArrowRight' ? 1 : count - 1)) % count;
+    } else if ((event.key === 'ArrowUp' || event.key === 'ArrowDown') && keyboardEditing) {
+      const value = data[key][category] === null ? settings.scale.min : clampToScale(data[key][category], settings.scale);
+      // A value between steps (continuous fills) moves to the nearest step in
+      // the pressed direction
+      const exactSteps = (value - settings.scale.min) / getScaleStep(settings.scale);
+      const steps = event.key === 'ArrowUp' ? Math.floor(exactSteps + 1e-9) + 1 : Math.ceil(exactSteps - 1e-9) - 1;
+      if (isTimelineRunning()) seek(timeline.sequence.getDuration());
+      setEditedValue(key, category, getStepValue(Math.max(0, Math.min(tiers * stepsPerTier, steps)), settings.scale));
+    } else if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+      const keys = getFocusableKeys();
+      const index = keys.indexOf(key) + (event.key === 'ArrowUp' ? 1 : -1);
+      target.key = keys[Math.max(0, Math.min(keys.length - 1, index))];
+    } else if (event.key === 'Enter' && settings.editable) {
+      keyboardEditing = !keyboardEditing;
+      announcement = keyboardEditing ? settings.strings.editStart : settings.strings.editEnd;
+    } else if (event.key === 'Escape' && keyboardEditing) {
+      keyboardEditing = false;
+      announcement = settings.strings.editEnd;
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+    focused = target;
+    showFocus();
+    announce(announcement || describeFocus());
+  }
+
+  /**
+   * Radii the focus ring encloses: a score or benchmark from the inner ring
+   * out to its fill, an average around its indicator
+   */
+  function getFocusRadii(key, value, layerThickness) {
+    const { startRadius } = ringBounds(0, layerThickness);
+
+    if (key === 'averages') {
+      const position = getAveragePosition(value, layerThickness);
+      const midRadius = position ? position.midRadius : startRadius;
+      return { innerRadius: Math.max(0, midRadius - layerThickness), outerRadius: midRadius + layerThickness };
+    }
+
+    const { tiers, stepsPerTier } = settings.scale;
+    const level = getValueLevel(value, settings);
+    const tier = Math.min(tiers - 1, Math.max(0, Math.ceil(level / stepsPerTier) - 1));
+    const bounds = ringBounds(tier, layerThickness);
+    const fillRadius = bounds.startRadius + (bounds.endRadius - bounds.startRadius) * getTierFillRatio(level, tier, settings.scale);
+    return { innerRadius: startRadius, outerRadius: Math.max(fillRadius, startRadius + layerThickness) };
+  }
+
+  /**
+   * Focus ring around the focused series in its slice (thicker while
+   * editing), with its tooltip at its ring in the middle of the slice
+   * @param {boolean} [withTooltip] - False only moves the ring, e.g. on a redraw
+   */
+  function showFocus(withTooltip = true) {
+    focused = getFocusTarget();
+    const { key, category } = focused;
+    const { centerX, centerY, layerThickness, sliceAngle, rotationAngle } = geometry();
+    const value = getSeries(key)[category];
+    const tier = getValueTier(value);
+    const startAngle = category * sliceAngle + rotationAngle;
+
+    focusRing.setAttrs({
+      ...getFocusRadii(key, value, layerThickness),
+      visible: true,
+      centerX,
+      centerY,
+      startAngle,
+      endAngle: startAngle + sliceAngle,
+      stroke: theme.labelColor,
+      strokeWidth: scaled(keyboardEditing ? 4 : 2)
+    });
+
+    if (!withTooltip) {
+      tooltipLayer.batchDraw();
+      return;
+    }
+
+    const { startRadius, endRadius } = ringBounds(tier, layerThickness);
+    const angle = startAngle + sliceAngle / 2;
+    const radius = (startRadius + endRadius) / 2;
+    const anchor = toScreenPoint({ x: centerX + radius * Math.cos(angle), y: centerY + radius * Math.sin(angle) });
+    showTooltip(getTooltipText(category, tier, value, SERIES_TYPES[key]), anchor.x, anchor.y);
+  }
+
+  function isFocusVisible() {
+    try {
+      return stage.content.matches(':focus-visible');
+    } catch (error) {
+      return true;  // Browsers without :focus-visible
+    }
+  }
+
+  function hideFocus() {
+    keyboardEditing = false;
+    focusRing.visible(false);
+    hideTooltip();
+  }
+
+  function describeFocus() {
+    const { key, category } = getFocusTarget();
+    const value = getSeries(key)[category];
+    return getTooltipText(category, getValueTier(value), value, SERIES_TYPES[key]).replace('\n', ', ');
+  }
+
+  function announce(text) {
+    if (accessible) accessible.liveRegion.textContent = text;
+  }
+
+  /**
+   * Screen-reader counterparts of the canvas: the stage content becomes a
+   * focusable application with keyboard instructions, and the container gets
+   * a live region for the focused value and a table of all labels and values,
+   * both visually hidden
+   */
+  function createAccessibleElements(element) {
+    const id = `radial-chart-${++chartCount}`;
+    const content = stage.content;
+
+    const addHidden = (tagName) => {
+      const node = element.ownerDocument.createElement(tagName);
+      Object.assign(node.style, VISUALLY_HIDDEN);
+      element.appendChild(node);
+      return node;
+    };
+
+    const help = addHidden('p');
+    help.id = `${id}-help`;
+
+    const liveRegion = addHidden('div');
+    liveRegion.setAttribute('role', 'status');
+    liveRegion.setAttribute('aria-live', 'polite');
+
+    const table = addHidden('table');
+
+    content.tabIndex = 0;
+    content.setAttribute('role', 'application');
+    content.setAttribute('aria-describedby', help.id);
+
+    content.addEventListener('keydown', onKeyDown);
+    content.addEventListener('focus', () => {
+      // A press or tap shows its own tooltip; the ring is for keyboard focus
+      if (isFocusVisible()) showFocus();
+      announce(describeFocus());
+    });
+    content.addEventListener('blur', () => {
+      if (!dragging) hideFocus();
+    });
+
+    return { help, liveRegion, table };
+  }
+
+  /**
+   * Mirror the labels, values and strings in the screen-reader elements
+   */
+  function updateAccessibleElements() {
+    const { strings } = settings;
+    const keys = getFocusableKeys();
+    const { table } = accessible;
+
+    stage.content.setAttribute('aria-label', strings.chart);
+    accessible.help.textContent = settings.editable ? `${strings.keyboardHelp} ${strings.editHelp}` : strings.keyboardHelp;
+
+    const addCell = (row, tagName, text, scope) => {
+      const cell = table.ownerDocument.createElement(tagName);
+      cell.textContent = text;
+      if (scope) cell.setAttribute('scope', scope);
+      row.appendChild(cell);
+    };
+
+    table.replaceChildren();
+    table.createCaption().textContent = strings.chart;
+
+    const header = table.createTHead().insertRow();
+    addCell(header, 'th', strings.category, 'col');
+    keys.forEach(key => addCell(header, 'th', strings[SERIES_TYPES[key]], 'col'));
+
+    const body = table.createTBody();
+    const series = keys.map(getSeries);
+    data.labels.forEach((label, category) => {
+      const row = body.insertRow();
+      addCell(row, 'th', label.replace(/\n/g, ' '), 'row');
+      series.forEach(values => addCell(row, 'td', formatValue(values[category], settings.scale, settings.locale)));
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Touch and zoom
+  // ---------------------------------------------------------------------------
+
+  function toChartPoint(point) {
+    return { x: (point.x - view.x) / view.scale, y: (point.y - view.y) / view.scale };
+  }
+
+  function toScreenPoint(point) {
+    return { x: point.x * view.scale + view.x, y: point.y * view.scale + view.y };
+  }
+
+  function applyView({ scale, x, y }) {
+    const transform = { x, y, scaleX: scale, scaleY: scale };
+    [backgroundLayer, benchmarkLayer, scoreLayer, averageLayer].forEach(layer => layer.setAttrs(transform));
+    focusRing.setAttrs(transform);
+  }
+
+  /**
+   * Zoom in by `scale` (1 to MAX_ZOOM) with the chart's origin at (x, y),
+   * moved where needed so the chart still covers the whole stage
+   */
+  function setView(scale, x, y) {
+    const min = stage.width() * (1 - scale);
+    view = { scale, x: Math.max(min, Math.min(0, x)), y: Math.max(min, Math.min(0, y)) };
+    applyView(view);
+    stage.batchDraw();
+  }
+
+  /**
+   * Zoom so that a chart point shows at a stage point
+   */
+  function zoomTo(scale, chartPoint, stagePoint) {
+    const clamped = Math.max(1, Math.min(MAX_ZOOM, scale));
+    setView(clamped, stagePoint.x - chartPoint.x * clamped, stagePoint.y - chartPoint.y * clamped);
+  }
+
+  /**
+   * Run an export at the chart's own size and position
+   */
+  function withoutZoom(render) {
+    if (view.scale === 1) return render();
+
+    applyView({ scale: 1, x: 0, y: 0 });
+    try {
+      return render();
+    } finally {
+      applyView(view);
+    }
+  }
+
+  function getTouchPoints(event) {
+    const bounds = stage.content.getBoundingClientRect();
+    return Array.from(event.touches, touch => ({ x: touch.clientX - bounds.left, y: touch.clientY - bounds.top }));
+  }
+
+  function getMidpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  /**
+   * One finger may become a tap, a double tap or a long press; a second
+   * finger turns the gesture into a pinch, which zooms around the fingers and
+   * follows them as they move
+   */
+  function onTouchStart(event) {
+    cancelLongPress();
+
+    if (event.touches.length === 2) {
+      // The first finger may have started dragging a value
+      if (dragPress) endDrag();
+      event.preventDefault();
+
+      const [a, b] = getTouchPoints(event);
+      touchGesture = {
+        pinch: { distance: Math.hypot(a.x - b.x, a.y - b.y), scale: view.scale, anchor: toChartPoint(getMidpoint(a, b)) }
+      };
+      hideTooltip();
+    } else if (event.touches.length === 1) {
+      const [point] = getTouchPoints(event);
+
+      // A finger on an editable slice drags its value instead of scrolling
+      // the page, which would cancel the drag
+      if (settings.editable && getCategoryAt(toChartPoint(point)) >= 0) event.preventDefault();
+
+      const gesture = { start: point, moved: false, longPressed: false };
+      gesture.timer = setTimeout(() => onLongPress(gesture, point), LONG_PRESS_DELAY);
+      touchGesture = gesture;
+    }
+  }
+
+  function onTouchMove(event) {
+    if (!touchGesture) return;
+
+    const { pinch, start } = touchGesture;
+    if (pinch && event.touches.length === 2) {
+      event.preventDefault();
+      const [a, b] = getTouchPoints(event);
+      zoomTo(pinch.scale * Math.hypot(a.x - b.x, a.y - b.y) / pinch.distance, pinch.anchor, getMidpoint(a, b));
+    } else if (start) {
+      const [point] = getTouchPoints(event);
+      if (Math.hypot(point.x - start.x, point.y - start.y) > TAP_SLOP) {
+        touchGesture.moved = true;
+        cancelLongPress();
+      }
+    }
+  }
+
+  function onTouchEnd(event) {
+    cancelLongPress();
+    if (!touchGesture || event.touches.length) return;
+
+    const gesture = touchGesture;
+    touchGesture = null;
+    if (event.type === 'touchend' && gesture.start && !gesture.moved && !gesture.longPressed) {
+      onTap(gesture.start, event);
+    }
+  }
+
+  function cancelLongPress() {
+    if (touchGesture) clearTimeout(touchGesture.timer);
+  }
+
+  /**
+   * A long press pins the pressed category's summary, also while editing
+   */
+  function onLongPress(gesture, point) {
+    const category = getCategoryAt(toChartPoint(point));
+    if (category < 0) return;
+
+    gesture.longPressed = true;
+    if (dragPress) endDrag();
+    showCategorySummary(category, point);
+  }
+
+  /**
+   * A tap pins the tapped category's summary, or dismisses it outside the
+   * rings; a double tap zooms in around the tap, or back out when zoomed in
+   */
+  function onTap(point, event) {
+    const now = Date.now();
+    const isDoubleTap = lastTap && now - lastTap.time < DOUBLE_TAP_DELAY &&
+      Math.hypot(point.x - lastTap.point.x, point.y - lastTap.point.y) < DOUBLE_TAP_SLOP;
+
+    if (isDoubleTap) {
+      lastTap = null;
+      event.preventDefault();
+      hideTooltip();
+      if (view.scale > 1) {
+        setView(1, 0, 0);
+      } else {
+        zoomTo(DOUBLE_TAP_ZOOM, toChartPoint(point), point);
+      }
+      return;
+    }
+
+    lastTap = { point, time: now };
+    const category = getCategoryAt(toChartPoint(point));
+    if (category < 0) {
+      hideCategorySummary();
+    } else {
+      showCategorySummary(category, point);
+    }
+  }
+
+  function setupTouch() {
+    const content = stage.content;
+
+    // The chart handles pinching and double taps itself; one finger on the
+    // chart's background (or anywhere when not editable) still scrolls the page
+    content.style.touchAction = 'pan-x pan-y';
+    content.addEventListener('touchstart', onTouchStart, { passive: false });
+    content.addEventListener('touchmove', onTouchMove, { passive: false });
+    content.addEventListener('touchend', onTouchEnd);
+    content.addEventListener('touchcancel', onTouchEnd);
+    content.ownerDocument.addEventListener('pointerdown', onDocumentPointerDown);
+  }
+
+  /**
+   * A press anywhere else on the page dismisses a pinned summary
+   */
+  function onDocumentPointerDown(event) {
+    if (!stage.content.contains(event.target)) hideCategorySummary();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Animation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Calculate staggered progress for each slice (clockwise with overlap)
+   * @param {number} elapsed - Elapsed time in ms
+   * @param {number} duration - Total animation duration
+   * @param {number} staggerDelay - Delay between each slice starting
+   * @returns {number[]} Array of progress values (0-1) for each slice
+   */
+  function calculateSliceProgress(elapsed, duration, staggerDelay) {
+    const sliceProgress = [];
+    const overlap = settings.sliceOverlap;
+    const effectiveSliceDuration = duration * (1 - overlap * 0.5);
+
+    for (let i = 0; i < getCategoryCount(); i++) {
+      const sliceStart = i * staggerDelay;
+      const sliceElapsed = Math.max(0, elapsed - sliceStart);
+      const progress = Math.min(1, sliceElapsed / effectiveSliceDuration);
+      sliceProgress.push(progress);
+    }
+
+    return sliceProgress;
+  }
+
+  /**
+   * Calculate tier progress within each slice (outward building)
+   * @param {number[]} sliceProgress - Progress for each slice
+   * @returns {number[][]} 2D array of tier progress for each slice
+   */
+  function calculateTierProgress(sliceProgress) {
+    const tierProgress = [];
+    const { tiers } = settings.scale;
+
+    for (let i = 0; i < getCategoryCount(); i++) {
+      const sliceProg = sliceProgress[i];
+      const tierList = [];
+
+      for (let t = 0; t < tiers; t++) {
+        // Tiers build outward with slight delay (15% per tier, compressed for many tiers)
+        const tierDelay = t * Math.min(0.15, 0.45 / Math.max(1, tiers - 1));
+        const tierProg = Math.max(0, Math.min(1, (sliceProg - tierDelay) / (1 - tierDelay)));
+        tierList.push(tierProg);
+      }
+
+      tierProgress.push(tierList);
+    }
+
+    return tierProgress;
+  }
+
+  /**
+   * Time until the last slice of a staggered sequence has finished
+   * @param {number} duration - Duration setting of the sequence
+   * @param {number} staggerDelay - Delay between each slice starting
+   */
+  function getStaggeredDuration(duration, staggerDelay) {
+    return Math.max(0, getCategoryCount() - 1) * staggerDelay + duration * (1 - settings.sliceOverlap * 0.5);
+  }
+
+  function drawDataFrame(sliceProgress) {
+    drawBenchmarks(getSeries('benchmarks'), sliceProgress);
+    drawScores(getSeries('scores'), sliceProgress);
+    drawDistributions(sliceProgress);
+    drawAverages(getSeries('averages'), sliceProgress);
+  }
+
+  // Sequences draw any point in time directly from the elapsed time, so the
+  // timeline can pause, scrub and change speed. drawStatic draws the layers a
+  // sequence does not animate; drawFrame the animated ones. The final frame is
+  // always drawAll.
+
+  /**
+   * Full chart animation - grid first, then data with overlap
+   */
+  function createIntroSequence() {
+    const dataStartDelay = settings.gridAnimationDuration * 0.3; // Data starts after 30% of grid animation
+
+    return {
+      name: 'intro',
+      getDuration: () => Math.max(
+        getStaggeredDuration(settings.gridAnimationDuration, settings.sliceStaggerDelay),
+        dataStartDelay + getStaggeredDuration(settings.animationDuration, settings.sliceStaggerDelay)
+      ),
+      drawStatic: () => clearLabels(),
+      drawFrame: (elapsed) => {
+        const gridSliceProgress = calculateSliceProgress(elapsed, settings.gridAnimationDuration, settings.sliceStaggerDelay);
+        drawBackground(gridSliceProgress, calculateTierProgress(gridSliceProgress));
+
+        const dataElapsed = Math.max(0, elapsed - dataStartDelay);
+        drawDataFrame(calculateSliceProgress(dataElapsed, settings.animationDuration, settings.sliceStaggerDelay));
+      }
+    };
+  }
+
+  /**
+   * Just the grid (background) with staggered clockwise building
+   */
+  function createGridSequence() {
+    return {
+      name: 'grid',
+      getDuration: () => getStaggeredDuration(settings.gridAnimationDuration, settings.sliceStaggerDelay),
+      drawStatic: () => {
+        drawDataFrame(1);
+        drawLabels();
+      },
+      drawFrame: (elapsed) => {
+        const sliceProgress = calculateSliceProgress(elapsed, settings.gridAnimationDuration, settings.sliceStaggerDelay);
+        drawBackground(sliceProgress, calculateTierProgress(sliceProgress));
+      }
+    };
+  }
+
+  /**
+   * Data layers (scores, benchmarks, averages) with staggered clockwise effect
+   */
+  function createDataSequence() {
+    return {
+      name: 'data',
+      getDuration: () => getStaggeredDuration(settings.animationDuration, settings.sliceStaggerDelay),
+      drawStatic: () => {
+        drawBackground();
+        clearLabels();
+      },
+      drawFrame: (elapsed) => {
+        drawDataFrame(calculateSliceProgress(elapsed, settings.animationDuration, settings.sliceStaggerDelay));
+      }
+    };
+  }
+
+  /**
+   * Tween from the given fill levels (per series) and average radii to the
+   * current data
+   */
+  function createTransitionSequence(levels, radii) {
+    return {
+      name: 'transition',
+      getDuration: () => getStaggeredDuration(settings.transitionDuration, settings.sliceStaggerDelay),
+      drawStatic: () => {
+        drawBackground();
+        drawLabels();
+      },
+      drawFrame: (elapsed) => {
+        transition = {
+          levels,
+          radii,
+          progress: calculateSliceProgress(elapsed, settings.transitionDuration, settings.sliceStaggerDelay)
+        };
+        drawDataFrame(1);
+      }
+    };
+  }
+
+  /**
+   * Draw the timeline's current point; `full` also redraws the static layers
+   * (after seeking, or when data or settings change mid-sequence)
+   */
+  function renderTimeline(full) {
+    const { sequence, elapsed } = timeline;
+    transition = null;
+
+    if (elapsed >= sequence.getDuration()) {
+      drawAll();
+      return;
+    }
+
+    if (full) sequence.drawStatic();
+    sequence.drawFrame(elapsed);
+  }
+
+  function isTimelineRunning() {
+    return Boolean(timeline) && timeline.elapsed < timeline.sequence.getDuration();
+  }
+
+  function tick(frame) {
+    const duration = timeline.sequence.getDuration();
+    timeline.elapsed = Math.min(duration, timeline.elapsed + frame.timeDiff * settings.playbackSpeed);
+
+    if (timeline.elapsed >= duration) {
+      pause();
+      renderTimeline(true);
+    } else {
+      renderTimeline(false);
+      notifyTimeline();
+    }
+  }
+
+  function startSequence(sequence) {
+    if (destroyed) return;
+    timeline = { sequence, elapsed: 0 };
+    play();
+  }
+
+  function prefersReducedMotion() {
+    if (settings.reducedMotion !== null) return settings.reducedMotion;
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  function animate() {
+    startSequence(createIntroSequence());
+  }
+
+  function animateGrid() {
+    startSequence(createGridSequence());
+  }
+
+  function animateData() {
+    startSequence(createDataSequence());
+  }
+
+  /**
+   * Move from the values on screen to new data instead of regrowing from the
+   * centre: per slice, clockwise with the intro's stagger, scores and
+   * benchmarks grow or shrink and average pills slide radially. A change in
+   * the number of categories replays the intro instead.
+   * @param {Object} newData - As for setData
+   */
+  function transitionTo(newData) {
+    if (destroyed) return;
+
+    const previousCount = getCategoryCount();
+    const { layerThickness } = geometry();
+
+    // Start from what is drawn now, which may be halfway through a transition
+    const levels = {};
+    ['scores', 'benchmarks'].forEach(key => {
+      levels[key] = getSeries(key).map((value, category) => getFillLevel(key, category, value));
+    });
+    const radii = getSeries('averages').map((average, category) => {
+      const position = getAveragePosition(average, layerThickness);
+      if (!position) return null;
+      return transition ? tween(transition.radii[category] || getAverageStartRadius(layerThickness), position.midRadius, category) : position.midRadius;
+    });
+
+    data = normalizeData({ ...data, ...newData });
+
+    if (getCategoryCount() !== previousCount) {
+      animate();
+      return;
+    }
+
+    // An unfinished intro or data sequence draws the new data from here on
+    if (isTimelineRunning() && timeline.sequence.name !== 'transition' && timeline.sequence.name !== 'grid') {
+      draw();
+      return;
+    }
+
+    startSequence(createTransitionSequence(levels, radii));
+  }
+
+  /**
+   * A transition tweens per category in fill steps and radii, so it cannot
+   * follow a new category count, scale or geometry; jump to its end instead
+   */
+  function dropTransition() {
+    if (!timeline || timeline.sequence.name !== 'transition') return;
+
+    pause();
+    timeline = null;
+    transition = null;
+    notifyTimeline();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Timeline
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Play the current sequence from where it is (from the start once it has
+   * finished; the intro when there is none). With reduced motion the final
+   * frame is drawn straight away.
+   */
+  function play() {
+    if (destroyed) return;
+    if (!timeline) {
+      animate();
+      return;
+    }
+
+    const duration = timeline.sequence.getDuration();
+    if (timeline.elapsed >= duration) timeline.elapsed = 0;
+    if (prefersReducedMotion()) timeline.elapsed = duration;
+
+    playing = timeline.elapsed < duration;
+    renderTimeline(true);
+    if (playing) ticker.start();
+    notifyTimeline();
+  }
+
+  function pause() {
+    playing = false;
+    ticker.stop();
+    notifyTimeline();
+  }
+
+  /**
+   * Draw the current sequence (the intro when there is none) at a point in
+   * time; playback, if running, continues from there
+   * @param {number} elapsed - Time into the sequence in ms
+   */
+  function seek(elapsed) {
+    if (destroyed) return;
+    if (!timeline) timeline = { sequence: createIntroSequence(), elapsed: 0 };
+
+    const duration = timeline.sequence.getDuration();
+    timeline.elapsed = Math.max(0, Math.min(duration, elapsed));
+
+    if (timeline.elapsed >= duration && playing) pause();
+    renderTimeline(true);
+    notifyTimeline();
+  }
+
+  /**
+   * @returns {{sequence: string, duration: number, elapsed: number, playing: boolean, speed: number}|null}
+   */
+  function getTimeline() {
+    if (!timeline) return null;
+    return {
+      sequence: timeline.sequence.name,
+      duration: timeline.sequence.getDuration(),
+      elapsed: timeline.elapsed,
+      playing,
+      speed: settings.playbackSpeed
+    };
+  }
+
+  function notifyTimeline() {
+    if (typeof settings.onTimelineChange === 'function') {
+      settings.onTimelineChange(getTimeline());
+    }
+  }
+
+  function isAnimating() {
+    return playing;
+  }
+
+  /**
+   * Stop playback and forget the sequence, leaving the layers as they are
+   */
+  function stop() {
+    playing = false;
+    ticker.stop();
+    timeline = null;
+    transition = null;
+    notifyTimeline();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Redraw: the final state, or the current point of an unfinished sequence
+   */
+  function draw() {
+    if (destroyed) return;
+    if (isTimelineRunning()) {
+      renderTimeline(true);
+    } else {
+      drawAll();
+    }
+
+    if (accessible) updateAccessibleElements();
+    if (focusRing.visible()) showFocus(tooltip.group.visible());
+    updateInfoPanel();
+  }
+
+  /**
+   * Replace (part of) the data and redraw
+   * @param {Object} newData - { labels, scores, benchmarks, averages, distributions }; omitted keys are kept
+   */
+  function setData(newData) {
+    const previousCount = getCategoryCount();
+    data = normalizeData({ ...data, ...newData });
+
+    if (getCategoryCount() !== previousCount) dropTransition();
+    draw();
+  }
+
+  function getData() {
+    return {
+      labels: data.labels.slice(),
+      scores: getSeries('scores'),
+      benchmarks: getSeries('benchmarks'),
+      averages: getSeries('averages'),
+      distributions: data.distributions.map(values => values && values.slice())
+    };
+  }
+
+  /**
+   * Change settings (any DEFAULT_OPTIONS key) and redraw
+   * @param {Object} newOptions
+   * @param {Object} [config]
+   * @param {boolean} [config.redraw] - False leaves drawing to a setData or
+   *   transitionTo that follows straight after
+   */
+  function setOptions(newOptions, { redraw = true } = {}) {
+    const merged = mergeOptions(settings, newOptions);
+    if (!isValidScale(merged.scale)) {
+      throw new Error('Invalid scale: max must exceed min, tiers and stepsPerTier must be positive integers');
+    }
+
+    const geometryChanged = ['size', 'centerHole', 'ringThickness', 'gapThickness']
+      .some(key => merged[key] !== settings[key]);
+    const scaleChanged = Object.keys(merged.scale).some(key => merged.scale[key] !== settings.scale[key]);
+    if (geometryChanged || scaleChanged) dropTransition();
+
+    theme = resolveTheme(merged.theme);
+    Object.assign(settings, merged);
+    if (settings.size !== stage.width()) {
+      const ratio = settings.size / stage.width();
+      stage.size({ width: settings.size, height: settings.size });
+
+      // Keep the same part of the chart in view
+      setView(view.scale, view.x * ratio, view.y * ratio);
+    }
+    if (redraw) draw();
+    updateResizeObserver();
+    updateEditing();
+  }
+
+  function getOptions() {
+    return mergeOptions(settings, {});
+  }
+
+  /**
+   * The active theme with every color filled in
+   */
+  function getTheme() {
+    return resolveTheme(theme);
+  }
+
+  /**
+   * @param {Object} [config] - Konva toDataURL config, e.g. { pixelRatio: 3 }
+   */
+  function toDataURL(config = {}) {
+    return withoutZoom(() => stage.toDataURL(config));
+  }
+
+  /**
+   * @param {Object} [config] - Konva toCanvas config, e.g. { pixelRatio: 2 }
+   * @returns {HTMLCanvasElement}
+   */
+  function toCanvas(config = {}) {
+    return withoutZoom(() => stage.toCanvas(config));
+  }
+
+  function toSVG() {
+    return withoutZoom(() => stageToSVG(stage, [tooltipLayer]));
+  }
+
+  /**
+   * Undo pinch or double-tap zoom
+   */
+  function resetZoom() {
+    setView(1, 0, 0);
+  }
+
+  function destroy() {
+    if (destroyed) return;
+    stop();
+    if (dragPress) endDrag();
+    cancelLongPress();
+    if (stage.container()) stage.content.ownerDocument.removeEventListener('pointerdown', onDocumentPointerDown);
+    if (resizeObserver) resizeObserver.disconnect();
+    if (accessible) Object.values(accessible).forEach(node => node.remove());
+    stage.destroy();
+    destroyed = true;
+  }
+
+  // Start at the container's size rather than resizing after the first draw
+  if (settings.responsive) {
+    settings.size = getContainerSize() || settings.size;
+    stage.size({ width: settings.size, height: settings.size });
+  }
+  updateResizeObserver();
+
+  stage.on('pointerdown', startDrag);
+  stage.on('mousemove', onStageHover);
+  stage.on('mouseleave', () => {
+    if (!dragging) hideCategorySummary();
+  });
+  if (stage.container()) {
+    accessible = createAccessibleElements(stage.container());
+    updateAccessibleElements();
+    setupTouch();
+  }
+
+  if (getCategoryCount()) drawAll();
+  updateInfoPanel();
+
+  return {
+    setData,
+    getData,
+    setOptions,
+    getOptions,
+    getTheme,
+    draw,
+    animate,
+    animateGrid,
+    animateData,
+    transitionTo,
+    play,
+    pause,
+    seek,
+    getTimeline,
+    isAnimating,
+    stop,
+    toDataURL,
+    toCanvas,
+    toSVG,
+    resetZoom,
+    destroy,
+    getStage: () => stage
+  };
+}
+
+/**
+ * Merge option overrides; the nested scale and strings are copied so charts
+ * never share them
+ */
+function mergeOptions(base, overrides) {
+  const merged = { ...base, ...overrides };
+  merged.scale = { ...base.scale, ...(overrides.scale || {}) };
+  merged.scale.suffix = merged.scale.suffix || '';
+  merged.strings = { ...base.strings, ...(overrides.strings || {}) };
+  return merged;
+}
+
+// =============================================================================
+// SVG EXPORT
+// =============================================================================
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+/**
+ * Serialize a stage as a vector SVG document. Every visible Konva layer
+ * becomes a top-level group, which Illustrator opens as separate layers, and
+ * named groups within keep their name as id (sublayers).
+ * @param {Konva.Stage} stage - Stage to serialize
+ * @param {Konva.Layer[]} [excludedLayers] - Layers to leave out (e.g. the tooltip)
+ * @returns {string} SVG markup
+ */
+function stageToSVG(stage, excludedLayers = []) {
+  const width = stage.width();
+  const height = stage.height();
+  const context = { pathCount: 0 };  // Ids for text paths
+
+  const groups = stage.getLayers()
+    .filter(layer => !excludedLayers.includes(layer) && layer.isVisible())
+    .map(layer => {
+      const children = layer.getChildren().map(child => nodeToSVG(child, context)).filter(Boolean).join('\n');
+      return `<g id="${escapeXML(layer.name())}">\n${children}\n</g>`;
+    });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="${SVG_NS}" xmlns:xlink="${XLINK_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...groups,
+    '</svg>'
+  ].join('\n');
+}
+
+function nodeToSVG(node, context) {
+  if (!node.isVisible() || node.opacity() === 0) return '';
+
+  const attrs = [getSVGTransform(node), getSVGPaint(node)].filter(Boolean).join(' ');
+
+  if (node instanceof Konva.Group) {
+    const children = node.getChildren().map(child => nodeToSVG(child, context)).filter(Boolean).join('\n');
+    const groupAttrs = [node.name() && `id="${escapeXML(node.name())}"`, attrs].filter(Boolean).join(' ');
+    return `<g ${groupAttrs}>\n${children}\n</g>`;
+  }
+  if (node instanceof Konva.Text) {
+    return textToSVG(node, attrs);
+  }
+  if (node instanceof Konva.TextPath) {
+    return textPathToSVG(node, attrs, `text-path-${++context.pathCount}`);
+  }
+  if (node instanceof Konva.Circle) {
+    return `<circle cx="0" cy="0" r="${formatSVGNumber(node.radius())}" ${attrs}/>`;
+  }
+  if (node instanceof Konva.Rect) {
+    return `<rect width="${formatSVGNumber(node.width())}" height="${formatSVGNumber(node.height())}" ` +
+      `rx="${formatSVGNumber(node.cornerRadius() || 0)}" ${attrs}/>`;
+  }
+  if (node instanceof Konva.Line) {
+    const points = node.points().map(formatSVGNumber).join(' ');
+    return `<polyline points="${points}" ${attrs}/>`;
+  }
+
+  // Custom shapes: replay their sceneFunc (e.g. createArcPath) into path data
+  const sceneFunc = node.sceneFunc();
+  if (!sceneFunc) return '';
+
+  const pathContext = createSVGPathContext();
+  sceneFunc.call(node, pathContext, node);
+  if (!pathContext.data()) return '';
+
+  return `<path d="${pathContext.data()}" ${attrs}/>`;
+}
+
+function textToSVG(node, attrs) {
+  const fontSize = node.fontSize();
+  const lineHeight = node.lineHeight() * fontSize;
+  const padding = node.padding();
+  const width = node.width();
+  const align = node.align();
+
+  const anchor = align === 'center' ? 'middle' : align === 'right' ? 'end' : 'start';
+  const x = align === 'center' ? width / 2 : align === 'right' ? width - padding : padding;
+
+  // Konva centers each line on its middle; SVG positions the alphabetic
+  // baseline, which sits about 0.35em below the middle for Arial
+  const lines = node.textArr.map((line, index) => {
+    const y = padding + lineHeight / 2 + index * lineHeight + fontSize * 0.35;
+    return `<tspan x="${formatSVGNumber(x)}" y="${formatSVGNumber(y)}">${escapeXML(line.text)}</tspan>`;
+  }).join('');
+
+  const fontWeight = node.fontStyle().includes('bold') ? ' font-weight="bold"' : '';
+
+  return `<text font-family="${escapeXML(node.fontFamily())}" font-size="${formatSVGNumber(fontSize)}"` +
+    `${fontWeight} text-anchor="${anchor}" ${attrs}>${lines}</text>`;
+}
+
+/**
+ * Text along a path stays live text: the path goes into <defs> and the text
+ * references it, centred like Konva's align: 'center'. xlink:href rather than
+ * href, which SVG 1.1 editors such as Illustrator do not read.
+ */
+function textPathToSVG(node, attrs, id) {
+  const fontWeight = node.fontStyle().includes('bold') ? ' font-weight="bold"' : '';
+  const anchor = node.align() === 'center' ? ' startOffset="50%" text-anchor="middle"' : '';
+
+  return `<defs><path id="${id}" d="${escapeXML(node.data())}"/></defs>\n` +
+    `<text font-family="${escapeXML(node.fontFamily())}" font-size="${formatSVGNumber(node.fontSize())}"` +
+    `${fontWeight} ${attrs}><textPath xlink:href="#${id}"${anchor}>${escapeXML(node.text())}</textPath></text>`;
+}
+
+function getSVGTransform(node) {
+  const [a, b, c, d, e, f] = node.getTransform().getMatrix();
+  if (a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0) return '';
+  return `transform="matrix(${[a, b, c, d, e, f].map(formatSVGNumber).join(' ')})"`;
+}
+
+function getSVGPaint(node) {
+  if (node instanceof Konva.Group) {
+    return node.opacity() < 1 ? `opacity="${formatSVGNumber(node.opacity())}"` : '';
+  }
+
+  const attrs = [];
+  const fill = node.fill();
+  attrs.push(`fill="${fill ? escapeXML(fill) : 'none'}"`);
+
+  const stroke = node.stroke();
+  if (stroke && node.strokeEnabled() && node.strokeWidth() > 0) {
+    attrs.push(`stroke="${escapeXML(stroke)}"`);
+    attrs.push(`stroke-width="${formatSVGNumber(node.strokeWidth())}"`);
+  }
+  if (node.opacity() < 1) {
+    attrs.push(`opacity="${formatSVGNumber(node.opacity())}"`);
+  }
+
+  return attrs.join(' ');
+}
+
+/**
+ * Minimal stand-in for a canvas context that records path commands as SVG
+ * path data, so sceneFuncs can be reused for vector output
+ */
+function createSVGPathContext() {
+  const commands = [];
+  let hasCurrentPoint = false;
+
+  const point = (x, y) => `${formatSVGNumber(x)} ${formatSVGNumber(y)}`;
+
+  return {
+    data: () => commands.join(' '),
+    beginPath() {},
+    fillStrokeShape() {},
+    moveTo(x, y) {
+      commands.push(`M ${point(x, y)}`);
+      hasCurrentPoint = true;
+    },
+    lineTo(x, y) {
+      commands.push(`${hasCurrentPoint ? 'L' : 'M'} ${point(x, y)}`);
+      hasCurrentPoint = true;
+    },
+    closePath() {
+      commands.push('Z');
+    },
+    arc(cx, cy, radius, startAngle, endAngle, counterClockwise = false) {
+      const fullTurn = Math.PI * 2;
+      const rawSweep = counterClockwise ? startAngle - endAngle : endAngle - startAngle;
+      const sweep = rawSweep >= fullTurn ? fullTurn : ((rawSweep % fullTurn) + fullTurn) % fullTurn;
+      const direction = counterClockwise ? -1 : 1;
+
+      const start = point(cx + radius * Math.cos(startAngle), cy + radius * Math.sin(startAngle));
+      commands.push(`${hasCurrentPoint ? 'L' : 'M'} ${start}`);
+      hasCurrentPoint = true;
+      if (sweep === 0 || radius === 0) return;
+
+      // SVG arcs cannot describe a full circle in one command
+      const segments = sweep >= fullTurn - 1e-9 ? 2 : 1;
+      for (let i = 1; i <= segments; i++) {
+        const angle = startAngle + direction * sweep * (i / segments);
+        const largeArc = sweep / segments > Math.PI ? 1 : 0;
+        const sweepFlag = counterClockwise ? 0 : 1;
+        const end = point(cx + radius * Math.cos(angle), cy + radius * Math.sin(angle));
+        commands.push(`A ${formatSVGNumber(radius)} ${formatSVGNumber(radius)} 0 ${largeArc} ${sweepFlag} ${end}`);
+      }
+    }
+  };
+}
+
+function formatSVGNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+return {
+  createRadialChart,
+  DEFAULT_OPTIONS,
+  SCALE_PRESETS,
+  THEMES,
+  isValidTheme,
+  resolveTheme,
+  Easing,
+  isValidScale,
+  clampToScale,
+  getScaleStep,
+  getScaleDecimals,
+  formatValue,
+  getChartGeometry,
+  getRingBounds,
+  createArcPath,
+  stageToSVG
+};
+});
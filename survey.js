@@ -0,0 +1,373 @@
+/**
+ * Cirkelgen - Survey aggregation
+ *
+ * Turns respondent-level questionnaire data (one row per respondent, one
+ * column per item) into the chart's series. An item mapping assigns items to
+ * categories, optionally reverse-scored or weighted; each respondent's
+ * category score is the weighted mean of the items they answered. The score
+ * is the mean for one group of respondents, the average the mean for all of
+ * them, and the benchmark comes from a reference group or a percentile of
+ * every group's score.
+ *
+ *   const responses = Survey.parseResponses(responsesText);
+ *   const mapping = Survey.parseItemMapping(mappingText, labels);
+ *   const result = Survey.aggregateSurvey(responses, mapping.items, {
+ *     scale, labels, groupColumn: 'team', group: 'Sales', benchmark: { percentile: 75 }
+ *   });
+ *
+ * Loads as a browser global (window.Survey, after ChartData) or as a
+ * CommonJS module.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./chart-data'));
+  } else {
+    root.Survey = factory(root.ChartData);
+  }
+})(typeof self !== 'undefined' ? self : this, function (ChartData) {
+'use strict';
+
+const { parseImportCell, parseDelimited, detectDelimiter, getQuantile } = ChartData;
+
+// =============================================================================
+// MESSAGES
+// =============================================================================
+
+// Validation messages with {placeholders}; the page swaps in translations
+// through setMessages (number errors come from ChartData's messages)
+const DEFAULT_MESSAGES = {
+  noResponses: 'No survey responses found',
+  noItems: 'No item mapping found (one row per item: item, category, reverse, weight)',
+  invalidJSON: 'Invalid JSON: {error}',
+  mappingRow: 'Item mapping row {row}',
+  unknownCategory: '{location}: no category "{category}"',
+  badReverse: '{location}: reverse must be yes or no, got "{value}"',
+  badWeight: '{location}: weight must be a positive number, got "{value}"',
+  duplicateItem: '{location}: item "{item}" is mapped twice',
+  missingItem: 'Item "{item}" is not a column of the responses',
+  emptyCategory: 'No items for category {category} ("{label}")',
+  response: 'Response row {row}, column {column} ("{item}")',
+  unknownGroupColumn: 'The responses have no column "{column}"',
+  noGroupColumn: 'Groups and percentiles need a group column',
+  unknownGroup: 'No respondents in group "{group}" (groups: {groups})',
+  noGroups: 'The group column "{column}" has no groups',
+  noAnswers: '{group}: no answers for category {category} ("{label}")',
+  everyone: 'All respondents',
+  badPercentile: 'The percentile must be between 0 and 100, got "{value}"'
+};
+
+let messages = { ...DEFAULT_MESSAGES };
+
+/**
+ * Replace (some of) the validation messages, e.g. with a translation
+ * @param {Object<string, string>} [overrides] - Keys of DEFAULT_MESSAGES; omit to restore English
+ */
+function setMessages(overrides = {}) {
+  messages = { ...DEFAULT_MESSAGES, ...overrides };
+}
+
+function formatMessage(key, params = {}) {
+  return messages[key].replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+// Item mapping headers; without a recognised header row the columns are
+// taken in this order
+const MAPPING_COLUMNS = {
+  item: ['item', 'items', 'question', 'vraag', 'frage'],
+  category: ['category', 'categorie', 'kategorie', 'catégorie'],
+  reverse: ['reverse', 'reversed', 'omgekeerd', 'umgekehrt', 'inversé'],
+  weight: ['weight', 'gewicht', 'gewichtung', 'poids']
+};
+
+const YES_VALUES = ['1', 'x', 'y', 'yes', 'true', 'r', 'reverse', 'reversed', 'ja', 'j', 'oui'];
+const NO_VALUES = ['', '0', 'n', 'no', 'false', 'nee', 'nein', 'non'];
+
+function normalize(text) {
+  return String(text).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Read a table from CSV/TSV text or a JSON array of row objects
+ * @returns {{header: string[], rows: string[][], allowDecimalComma: boolean}|{error: string}}
+ */
+function readTable(text) {
+  const trimmed = text.trim();
+
+  if (trimmed[0] === '[') {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      return { error: formatMessage('invalidJSON', { error: error.message }) };
+    }
+    const header = Array.from(new Set(data.flatMap(item => Object.keys(item || {}))));
+    const rows = data.map(item => header.map(key => (item && item[key] !== undefined && item[key] !== null ? String(item[key]) : '')));
+    return { header, rows, allowDecimalComma: false };
+  }
+
+  // Comma decimals ("3,5") are only unambiguous when comma isn't the delimiter
+  const delimiter = detectDelimiter(trimmed);
+  const [header, ...rows] = parseDelimited(trimmed, delimiter);
+  return { header, rows, allowDecimalComma: delimiter !== ',' };
+}
+
+/**
+ * Parse respondent-level data: a header row of item and metadata columns
+ * (such as a team or department), then one row per respondent
+ * @param {string} text - CSV/TSV text, or JSON array of respondent objects
+ * @returns {{header: string[], rows: string[][], allowDecimalComma: boolean, errors: string[]}}
+ */
+function parseResponses(text) {
+  const table = text.trim() ? readTable(text) : { error: formatMessage('noResponses') };
+  if (table.error) {
+    return { header: [], rows: [], allowDecimalComma: false, errors: [table.error] };
+  }
+  if (!table.rows.length) {
+    return { ...table, errors: [formatMessage('noResponses')] };
+  }
+  return { ...table, errors: [] };
+}
+
+/**
+ * Parse an item mapping: one row per item with its category (1-based number
+ * or label), whether it is reverse-scored and its weight (default 1)
+ * @param {string} text - CSV/TSV text, e.g. "Q1,1" / "Q2,leadership,yes,2"
+ * @param {string[]} labels - Category labels
+ * @returns {{items: Array<{item: string, category: number, reverse: boolean, weight: number}>, errors: string[]}}
+ */
+function parseItemMapping(text, labels) {
+  if (!text.trim()) return { items: [], errors: [formatMessage('noItems')] };
+
+  const delimiter = detectDelimiter(text.trim());
+  const rows = parseDelimited(text.trim(), delimiter);
+  const allowDecimalComma = delimiter !== ',';
+
+  const findColumn = (cells, key) => cells.findIndex(cell => MAPPING_COLUMNS[key].includes(normalize(cell)));
+  const hasHeader = findColumn(rows[0], 'item') >= 0 && findColumn(rows[0], 'category') >= 0;
+  const positions = {};
+  Object.keys(MAPPING_COLUMNS).forEach((key, index) => {
+    positions[key] = hasHeader ? findColumn(rows[0], key) : index;
+  });
+
+  const errors = [];
+  const items = [];
+  const seen = new Set();
+
+  rows.slice(hasHeader ? 1 : 0).forEach((cells, index) => {
+    const location = formatMessage('mappingRow', { row: index + (hasHeader ? 2 : 1) });
+    const cell = key => (positions[key] >= 0 && cells[positions[key]] !== undefined ? cells[positions[key]].trim() : '');
+
+    const item = cell('item');
+    if (!item) return;
+
+    const category = findCategory(cell('category'), labels);
+    if (category < 0) {
+      errors.push(formatMessage('unknownCategory', { location, category: cell('category') }));
+    }
+
+    const reverse = normalize(cell('reverse'));
+    if (!YES_VALUES.includes(reverse) && !NO_VALUES.includes(reverse)) {
+      errors.push(formatMessage('badReverse', { location, value: cell('reverse') }));
+    }
+
+    const weightCell = cell('weight');
+    const weight = weightCell === '' ? 1 : Number(allowDecimalComma ? weightCell.replace(',', '.') : weightCell);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      errors.push(formatMessage('badWeight', { location, value: weightCell }));
+    }
+
+    if (seen.has(normalize(item))) {
+      errors.push(formatMessage('duplicateItem', { location, item }));
+    }
+    seen.add(normalize(item));
+
+    items.push({ item, category, reverse: YES_VALUES.includes(reverse), weight });
+  });
+
+  if (!items.length && !errors.length) errors.push(formatMessage('noItems'));
+  return { items: errors.length ? [] : items, errors };
+}
+
+/**
+ * @returns {number} Category index for a 1-based number or a label, -1 when neither
+ */
+function findCategory(cell, labels) {
+  if (/^\d+$/.test(cell)) {
+    const index = parseInt(cell, 10) - 1;
+    return index >= 0 && index < labels.length ? index : -1;
+  }
+  return labels.findIndex(label => normalize(label) === normalize(cell));
+}
+
+// =============================================================================
+// AGGREGATION
+// =============================================================================
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Every respondent's score per category: the weighted mean of the items they
+ * answered, reverse-scored items mirrored on the scale (min + max - value).
+ * Empty cells are unanswered items.
+ * @returns {{scores: Array<Array<number|null>>, errors: string[]}} Null where a respondent answered none of a category's items
+ */
+function getRespondentScores(responses, items, scale, categoryCount) {
+  const errors = [];
+  const columns = items.map(({ item }) => responses.header.findIndex(cell => normalize(cell) === normalize(item)));
+
+  const scores = responses.rows.map((row, rowIndex) => {
+    const sums = new Array(categoryCount).fill(0);
+    const weights = new Array(categoryCount).fill(0);
+
+    items.forEach(({ item, category, reverse, weight }, index) => {
+      const raw = row[columns[index]];
+      if (raw === undefined || raw.trim() === '') return;
+
+      const result = parseImportCell(raw, scale, responses.allowDecimalComma);
+      if (result.error !== undefined) {
+        const location = formatMessage('response', { row: rowIndex + 2, column: columns[index] + 1, item });
+        errors.push(`${location}: ${result.error}`);
+        return;
+      }
+
+      sums[category] += (reverse ? scale.min + scale.max - result.value : result.value) * weight;
+      weights[category] += weight;
+    });
+
+    return sums.map((sum, category) => (weights[category] ? sum / weights[category] : null));
+  });
+
+  return { scores, errors };
+}
+
+/**
+ * Aggregate respondent scores into the chart's series. Without a group the
+ * score covers every respondent (and equals the average).
+ * @param {Object} responses - Result of parseResponses
+ * @param {Object[]} items - Items of parseItemMapping
+ * @param {Object} options
+ * @param {Object} options.scale - Scale the items are answered on
+ * @param {string[]} options.labels - Category labels
+ * @param {string} [options.groupColumn] - Column naming each respondent's group
+ * @param {string} [options.group] - Group whose mean becomes the score
+ * @param {{group: string}|{percentile: number}|null} [options.benchmark] - A reference
+ *   group, or a percentile (0-100) of every group's score; null leaves benchmarks out
+ * @returns {{series: Object<string, number[]>, distributions: number[][], counts: {group: number, population: number, benchmark: number}, errors: string[]}}
+ *   distributions holds the scoring respondents' own category scores (for the
+ *   chart's spread overlay); counts.benchmark is the reference group's
+ *   respondents or the number of groups
+ */
+function aggregateSurvey(responses, items, { scale, labels, groupColumn = '', group = '', benchmark = null }) {
+  const errors = [];
+  const failed = () => ({ series: {}, distributions: [], counts: null, errors });
+  const header = responses.header.map(normalize);
+
+  items.forEach(({ item }) => {
+    if (!header.includes(normalize(item))) errors.push(formatMessage('missingItem', { item }));
+  });
+  labels.forEach((label, category) => {
+    if (!items.some(item => item.category === category)) {
+      errors.push(formatMessage('emptyCategory', { category: category + 1, label: label.replace(/\n/g, ' ') }));
+    }
+  });
+
+  const groupIndex = groupColumn.trim() ? header.indexOf(normalize(groupColumn)) : -1;
+  if (groupColumn.trim() && groupIndex < 0) {
+    errors.push(formatMessage('unknownGroupColumn', { column: groupColumn.trim() }));
+  } else if (!groupColumn.trim() && (group.trim() || benchmark)) {
+    errors.push(formatMessage('noGroupColumn'));
+  }
+  if (benchmark && benchmark.percentile !== undefined && !(benchmark.percentile >= 0 && benchmark.percentile <= 100)) {
+    errors.push(formatMessage('badPercentile', { value: benchmark.percentile }));
+  }
+  if (errors.length) return failed();
+
+  const respondents = getRespondentScores(responses, items, scale, labels.length);
+  if (respondents.errors.length) return { ...failed(), errors: respondents.errors };
+
+  // Groups in order of appearance; respondents without a group only count
+  // towards the average
+  const groupOf = responses.rows.map(row => (groupIndex >= 0 && row[groupIndex] ? row[groupIndex].trim() : ''));
+  const groups = Array.from(new Set(groupOf.filter(Boolean)));
+
+  const selectGroup = name => {
+    const selected = respondents.scores.filter((_, index) => normalize(groupOf[index]) === normalize(name));
+    if (!selected.length) {
+      errors.push(formatMessage('unknownGroup', { group: name, groups: groups.join(', ') }));
+    }
+    return selected;
+  };
+
+  // Per category mean; null when nobody answered
+  const meanScores = scores => labels.map((label, category) => {
+    const answered = scores.map(respondent => respondent[category]).filter(value => value !== null);
+    return answered.length ? mean(answered) : null;
+  });
+
+  const requireAnswers = (values, name) => values.map((value, category) => {
+    if (value === null) {
+      errors.push(formatMessage('noAnswers', { group: name, category: category + 1, label: labels[category].replace(/\n/g, ' ') }));
+    }
+    return value;
+  });
+
+  const selected = group.trim() ? selectGroup(group.trim()) : respondents.scores;
+  const series = {};
+  const counts = { group: selected.length, population: respondents.scores.length, benchmark: 0 };
+  if (selected.length) {
+    series.scores = requireAnswers(meanScores(selected), group.trim() || formatMessage('everyone'));
+  }
+  series.averages = requireAnswers(meanScores(respondents.scores), formatMessage('everyone'));
+
+  if (benchmark && benchmark.percentile !== undefined) {
+    if (!groups.length) {
+      errors.push(formatMessage('noGroups', { column: groupColumn.trim() }));
+    } else {
+      const groupScores = groups.map(name => meanScores(selectGroup(name)));
+      series.benchmarks = requireAnswers(labels.map((label, category) => {
+        const values = groupScores.map(scores => scores[category]).filter(value => value !== null);
+        return values.length ? getQuantile(values.sort((a, b) => a - b), benchmark.percentile / 100) : null;
+      }), groupColumn.trim());
+      counts.benchmark = groups.length;
+    }
+  } else if (benchmark) {
+    const reference = selectGroup(benchmark.group.trim());
+    if (reference.length) {
+      series.benchmarks = requireAnswers(meanScores(reference), benchmark.group.trim());
+      counts.benchmark = reference.length;
+    }
+  }
+
+  const distributions = labels.map((label, category) => selected
+    .map(respondent => respondent[category])
+    .filter(value => value !== null));
+
+  return errors.length ? failed() : { series, distributions, counts, errors };
+}
+
+/**
+ * Distinct values of a column, e.g. the groups to choose from
+ */
+function getColumnValues(responses, column) {
+  const index = responses.header.findIndex(cell => normalize(cell) === normalize(column));
+  if (index < 0) return [];
+  return Array.from(new Set(responses.rows.map(row => (row[index] || '').trim()).filter(Boolean)));
+}
+
+return {
+  DEFAULT_MESSAGES,
+  setMessages,
+  parseResponses,
+  parseItemMapping,
+  getRespondentScores,
+  aggregateSurvey,
+  getColumnValues
+};
+});